@@ -1,33 +1,74 @@
 import React from 'react';
+import { BrowserRouter, Route, Routes, useParams } from 'react-router-dom';
 import QuestManager from './components/QuestManager';
+import PrivateRoute from './components/PrivateRoute';
+import RedirectToUserSection from './components/RedirectToUserSection';
 import LoginPage from './pages/LoginPage';
+import HouseholdSetupPage from './pages/HouseholdSetupPage';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { HouseholdProvider, useHousehold } from './context/HouseholdContext';
 import { appId } from './firebase';
 import './App.css';
 
-const AppContent = () => {
+const LoadingScreen = () => (
+  <div className="min-h-screen bg-gradient-to-b from-blue-400 to-purple-600 flex items-center justify-center font-pixel text-white text-2xl">
+    Loading Quest Log...
+  </div>
+);
+
+const LoginRoute = () => {
   const { currentUser, loading } = useAuth();
 
   if (loading) {
-    return (
-      <div className="min-h-screen bg-gradient-to-b from-blue-400 to-purple-600 flex items-center justify-center font-pixel text-white text-2xl">
-        Loading Quest Log...
-      </div>
-    );
+    return <LoadingScreen />;
+  }
+
+  if (currentUser) {
+    return <RedirectToUserSection />;
   }
 
-  if (!currentUser) {
-    return <LoginPage />;
+  return <LoginPage />;
+};
+
+const HouseholdRoute = () => {
+  const { currentUser } = useAuth();
+  const { uid, section } = useParams();
+  const { activeHousehold, loading } = useHousehold();
+
+  if (loading) {
+    return <LoadingScreen />;
   }
 
-  return <QuestManager appId={appId} />;
+  if (uid !== currentUser.uid) {
+    return <RedirectToUserSection section={section} />;
+  }
+
+  if (!activeHousehold) {
+    return <HouseholdSetupPage />;
+  }
+
+  // Keyed by household so switching households starts from a clean slate.
+  return (
+    <QuestManager key={activeHousehold.id} appId={appId} householdId={activeHousehold.id} />
+  );
 };
 
 function App() {
   return (
-    <AuthProvider>
-      <AppContent />
-    </AuthProvider>
+    <BrowserRouter>
+      <AuthProvider>
+        <HouseholdProvider appId={appId}>
+          <Routes>
+            <Route path="/login" element={<LoginRoute />} />
+            <Route element={<PrivateRoute />}>
+              <Route path="/users/:uid/quests/:questId" element={<HouseholdRoute />} />
+              <Route path="/users/:uid/:section" element={<HouseholdRoute />} />
+            </Route>
+            <Route path="*" element={<RedirectToUserSection />} />
+          </Routes>
+        </HouseholdProvider>
+      </AuthProvider>
+    </BrowserRouter>
   );
 }
 
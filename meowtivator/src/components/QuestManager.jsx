@@ -1,46 +1,178 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import { signOut } from 'firebase/auth';
 import {
   addDoc,
+  arrayUnion,
   collection,
+  deleteDoc,
+  deleteField,
   doc,
   getDoc,
   onSnapshot,
+  query,
+  runTransaction,
   serverTimestamp,
   setDoc,
   Timestamp,
   updateDoc,
+  where,
+  writeBatch,
 } from 'firebase/firestore';
 import { auth, db } from '../firebase';
 import { useAuth } from '../context/AuthContext';
+import { useHousehold } from '../context/HouseholdContext';
 import {
   formatMs,
   coerceDate,
   calculateXpWithFairness,
+  getQuestOccurrenceId,
+  calculateStarCoins,
+  DEFAULT_RESERVATION_EXPIRY_HOURS,
+  formatTimeAgo,
+  getFocusElapsedMs,
+  isReservationExpired,
+  canUndoCompletion,
+  reverseCompletionProgress,
+  releaseLapsedReservation,
+  getCompletionClaims,
+  splitXpByShares,
+  getWeekNumber,
+  getWeekStartDate,
+  groupUsersByStaleWeek,
+  rankWeeklyStandings,
+  calculateNeglectMeter,
+  calculateOverdueBonusXp,
+  DEFAULT_OVERDUE_BONUS_CAP_PERCENT,
+  DEFAULT_OVERDUE_BONUS_PERCENT_PER_DAY,
+  getOverdueMs,
+  getOverdueSeverity,
+  DEFAULT_FAIRNESS_POLICY,
+  normalizeFairnessPolicy,
+  resolveFairnessThreshold,
+  calculateFairnessScores,
+  buildFairnessStats,
 } from '../utils/questHelpers';
+import {
+  buildMemberDoc,
+  canManageQuest,
+  formatFriendCode,
+  generateFriendCode,
+  getFriendCodesPath,
+  getHouseholdCollectionPath,
+  getHouseholdsPath,
+  isHouseholdAdmin,
+} from '../utils/householdHelpers';
+import { getQuestPath, getUserSectionPath, normalizeUserSection } from '../utils/routeHelpers';
+import {
+  createTierId,
+  DEFAULT_DIFFICULTY_TIERS,
+  getQuestDifficulty,
+  normalizeDifficultyTiers,
+  resolveQuestXp,
+} from '../utils/difficultyTiers';
+import {
+  advanceAssignment,
+  getAssigneeId,
+  getNextAssigneeId,
+  normalizeAssignment,
+} from '../utils/assignment';
+import {
+  describeRecurrence,
+  getFirstDueAt,
+  getNextDueAt,
+  getResumedDueAt,
+  normalizeRecurrence,
+  WEEKDAY_LABELS,
+  WEEKDAYS_ONLY,
+} from '../utils/recurrence';
+import { evaluateAchievements } from '../utils/achievements';
+import {
+  applyBossHits,
+  DEFAULT_BOSS_DAYS,
+  DEFAULT_BOSS_HP,
+  getActiveBoss,
+  getBossContributions,
+  getBossStatus,
+  normalizeBoss,
+  revertBossHits,
+} from '../utils/bossBattles';
+import {
+  createStepId,
+  getChecklistSteps,
+  normalizeChecklist,
+  splitXpBySteps,
+  summarizeChecklistProgress,
+} from '../utils/checklists';
+import {
+  calculateHouseholdStreak,
+  calculatePlayerStreaks,
+  DEFAULT_HOUSEHOLD_STREAK_OVERDUE_DAYS,
+  getMissedStreakDays,
+  STREAK_FREEZE_COST,
+} from '../utils/streaks';
+import { getLevelForXp, getLevelProgress, getLevelTitle, getLevelUp } from '../utils/levels';
+import {
+  DEFAULT_XP_PER_FOCUS_MINUTE,
+  formatLateness,
+  getQuestCompletions,
+  MIN_TIMED_COMPLETIONS,
+  suggestQuestXp,
+  summarizeQuestCompletions,
+} from '../utils/questStats';
 
+// Page ids double as the `/users/:uid/:section` route segment.
 const PAGES = {
-  DASHBOARD: 'DASHBOARD',
-  QUEST_LOG: 'QUEST_LOG',
-  FOCUS_MODE: 'FOCUS_MODE',
-  PROFILE: 'PROFILE_PAGE',
-  REWARD_HALL: 'REWARD_HALL',
-  HISTORY: 'HISTORY_LOG',
-};
-
-const difficultyPresets = {
-  easy: { label: 'Easy Quest (100 XP)', xp: 100 },
-  medium: { label: 'Medium Quest (250 XP)', xp: 250 },
-  hard: { label: 'Hard Quest (500 XP)', xp: 500 },
+  DASHBOARD: 'dashboard',
+  QUEST_LOG: 'quests',
+  QUEST_DETAIL: 'quest',
+  FOCUS_MODE: 'focus',
+  PROFILE: 'profile',
+  REWARD_HALL: 'rewards',
+  HISTORY: 'history',
 };
 
 const initialTaskForm = {
   title: '',
   difficulty: 'easy',
+  xpOverride: '',
   frequencyType: 'daily',
   frequencyInterval: 1,
+  weekdaysOnly: false,
+  byWeekday: [],
+  monthlyMode: 'same',
+  dayOfMonth: 1,
+  nth: 1,
+  weekday: 6,
+  anchor: 'completion',
+  assignmentMode: 'open',
+  assignmentMemberIds: [],
+  checklist: [],
+  newStepLabel: '',
+};
+
+const MONTHLY_MODE_OPTIONS = [
+  { value: 'same', label: 'Same date as last time' },
+  { value: 'day', label: 'On a day of the month' },
+  { value: 'last', label: 'On the last day' },
+  { value: 'nth', label: 'On a weekday of the month' },
+];
+
+const OVERDUE_STYLES = {
+  fresh: { border: 'border-black', text: 'text-[#90DCFF]' },
+  late: { border: 'border-[#FDFB76]', text: 'text-[#FDFB76]' },
+  overdue: { border: 'border-[#FF8A3D]', text: 'text-[#FF8A3D]' },
+  neglected: { border: 'border-[#E10086]', text: 'text-[#E10086]' },
 };
 
+const NTH_OPTIONS = [
+  { value: 1, label: 'First' },
+  { value: 2, label: 'Second' },
+  { value: 3, label: 'Third' },
+  { value: 4, label: 'Fourth' },
+  { value: -1, label: 'Last' },
+];
+
 const DEFAULT_SPOTIFY_EMBED =
   'https://open.spotify.com/embed/playlist/37i9dQZF1DX4WYpdgoIcn6?utm_source=generator';
 
@@ -88,39 +220,10 @@ const getSpotifyConfig = () => {
   return { clientId, redirectUri };
 };
 
-const generateFriendCode = (rawId = '') => {
-  const base = (rawId || 'MEOWTIVATR').replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
-  const padded = (base + 'MEOWTIVATRULES').slice(0, 8);
-  return `${padded.slice(0, 4)}-${padded.slice(4, 8)}`;
-};
-
-const startOfDay = (date) => {
-  const d = new Date(date);
-  d.setHours(0, 0, 0, 0);
-  return d.getTime();
-};
-
-const getWeekKey = (date) => {
-  const d = new Date(date);
-  const firstDayOfYear = new Date(d.getFullYear(), 0, 1);
-  const pastDaysOfYear = (d - firstDayOfYear) / 86400000;
-  const week = Math.floor((pastDaysOfYear + firstDayOfYear.getDay() + 1) / 7);
-  return `${d.getFullYear()}-W${week}`;
-};
-
-const getMonthKey = (date) => {
-  const d = new Date(date);
-  return `${d.getFullYear()}-${d.getMonth() + 1}`;
-};
-
-const normalizeQuestDoc = (docData = {}) => {
-  const difficulty = docData.difficulty || docData.difficulty_level || 'easy';
-  // Support both old (frequency) and new (frequencyType) formats
-  const frequencyType =
-    docData.frequencyType ||
-    (docData.frequency === 'once' ? 'once' : docData.frequency || 'daily') ||
-    'daily';
-  const frequencyInterval = docData.frequencyInterval ?? 1;
+const normalizeQuestDoc = (docData = {}, difficultyTiers = DEFAULT_DIFFICULTY_TIERS) => {
+  const difficulty = getQuestDifficulty(docData);
+  // Older quests only have frequency/frequencyType, which map onto a simple rule.
+  const recurrence = normalizeRecurrence(docData);
   const lastCompletedAt =
     docData.lastCompletedAt ||
     docData.last_completed_at ||
@@ -128,21 +231,37 @@ const normalizeQuestDoc = (docData = {}) => {
     null;
   const normalizedLastCompleted = lastCompletedAt ? coerceDate(lastCompletedAt) : null;
   const nextDueAt = docData.nextDueAt ? coerceDate(docData.nextDueAt) : null;
+  const assignment = normalizeAssignment(docData.assignment);
   const isActive = docData.isActive !== undefined ? docData.isActive : true;
-  const xp =
-    docData.xp ??
-    docData.xp_value ??
-    difficultyPresets[difficulty]?.xp ??
-    difficultyPresets.easy.xp;
+  const xp = resolveQuestXp(docData, difficultyTiers);
+  const tierXp = resolveQuestXp({ difficulty, xpOverride: null }, difficultyTiers);
+  let xpOverride = null;
+  if (typeof docData.xpOverride === 'number') {
+    xpOverride = docData.xpOverride;
+  } else if (xp !== tierXp) {
+    // A legacy hand-set value; surfacing it keeps it through the next edit.
+    xpOverride = xp;
+  }
   return {
     ...docData,
     title: docData.title || docData.name || 'Quest',
     difficulty,
     xp,
-    frequencyType,
-    frequencyInterval,
+    xpOverride,
+    recurrence,
+    frequencyType: recurrence.freq,
+    frequencyInterval: recurrence.interval,
     nextDueAt,
     isActive,
+    assignment,
+    assigneeId: getAssigneeId(assignment, getQuestOccurrenceId(docData.id, nextDueAt)),
+    isPaused: Boolean(docData.isPaused),
+    // Re-price from recorded focus time after every completion.
+    autoXp: Boolean(docData.autoXp),
+    checklist: normalizeChecklist(docData.checklist),
+    // Ticks for the open occurrence, keyed by step id; cleared on completion.
+    checklistProgress: docData.checklistProgress || {},
+    archivedAt: docData.archivedAt ? coerceDate(docData.archivedAt) : null,
     lastCompletedById:
       docData.lastCompletedById ||
       docData.last_completed_by_id ||
@@ -153,6 +272,7 @@ const normalizeQuestDoc = (docData = {}) => {
       docData.last_completed_by_name ||
       docData.completed_by_name ||
       null,
+    lastCompletedByIds: docData.lastCompletedByIds || null,
     createdById:
       docData.createdById || docData.created_by_id || docData.createdBy || docData.created_by || '',
     createdByName:
@@ -163,56 +283,95 @@ const normalizeQuestDoc = (docData = {}) => {
       '',
     reservedById: docData.reservedById ?? docData.reserved_by_id ?? null,
     reservedByName: docData.reservedByName ?? docData.reserved_by_name ?? null,
+    reservedAt: docData.reservedAt ? coerceDate(docData.reservedAt) : null,
     lastCompletedAt: normalizedLastCompleted,
     lastFocusDurationSeconds:
       docData.lastFocusDurationSeconds ?? docData.last_focus_duration_seconds ?? null,
   };
 };
 
-const calculateNextDueAt = (frequencyType, frequencyInterval, fromDate = new Date()) => {
-  const date = new Date(fromDate);
-  switch (frequencyType) {
-    case 'once':
-      return date; // For one-time quests, nextDueAt is set to creation time
-    case 'daily':
-      date.setDate(date.getDate() + frequencyInterval);
-      return date;
-    case 'weekly':
-      date.setDate(date.getDate() + frequencyInterval * 7);
-      return date;
-    case 'monthly':
-      date.setMonth(date.getMonth() + frequencyInterval);
-      return date;
-    default:
-      return date;
+// Paused and archived are separate from isActive, which marks a finished one-time quest.
+const getQuestStatus = (quest) => {
+  if (quest.archivedAt) return 'Archived';
+  if (quest.isPaused) return 'Paused';
+  if (quest.isActive === false) return 'Done';
+  return 'Active';
+};
+
+// Longest-ignored quests float to the top.
+const compareByUrgency = (now) => (a, b) =>
+  getOverdueMs(b.nextDueAt, now) - getOverdueMs(a.nextDueAt, now) ||
+  a.title.localeCompare(b.title);
+
+const toTimestamp = (date) => (date ? Timestamp.fromDate(date) : null);
+
+// The quest form keeps the rule flattened; this folds it back into a stored rule.
+const buildRecurrenceFromForm = (form, startAt) => {
+  const freq = form.frequencyType;
+  let byWeekday = [];
+  if (freq === 'daily' && form.weekdaysOnly) byWeekday = WEEKDAYS_ONLY;
+  if (freq === 'weekly') byWeekday = form.byWeekday;
+  return {
+    freq,
+    interval: freq === 'once' ? 1 : form.frequencyInterval,
+    byWeekday,
+    monthlyMode: freq === 'monthly' ? form.monthlyMode : 'same',
+    dayOfMonth: form.dayOfMonth,
+    nth: form.nth,
+    weekday: form.weekday,
+    anchor: form.anchor,
+    startAt,
+  };
+};
+
+// Editing keeps the rotation's place so whoever is up next stays up next.
+const buildAssignmentFromForm = (form, previous = normalizeAssignment()) => {
+  const memberIds =
+    form.assignmentMode === 'pinned'
+      ? form.assignmentMemberIds.slice(0, 1)
+      : form.assignmentMemberIds;
+  if (form.assignmentMode === 'open' || !memberIds.length) {
+    return normalizeAssignment();
   }
+  return {
+    ...previous,
+    mode: form.assignmentMode,
+    memberIds,
+    rotationIndex: previous.rotationIndex % memberIds.length,
+  };
+};
+
+// A blank custom XP field means "use the tier's value".
+const parseXpOverride = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const xp = Number(value);
+  return Number.isFinite(xp) ? Math.max(0, Math.round(xp)) : null;
 };
 
+const getRecurrenceForm = (rule) => ({
+  frequencyType: rule.freq,
+  frequencyInterval: rule.interval,
+  weekdaysOnly: rule.freq === 'daily' && rule.byWeekday.join() === WEEKDAYS_ONLY.join(),
+  byWeekday: rule.freq === 'weekly' ? rule.byWeekday : [],
+  monthlyMode: rule.monthlyMode,
+  dayOfMonth: rule.dayOfMonth,
+  nth: rule.nth,
+  weekday: rule.weekday,
+  anchor: rule.anchor,
+});
+
 const isQuestDue = (quest, now = new Date()) => {
   // New model: check isActive and nextDueAt
-  if (quest.isActive === false) return false;
+  if (quest.isActive === false || quest.isPaused || quest.archivedAt) return false;
   if (quest.nextDueAt) {
     const nextDue = coerceDate(quest.nextDueAt);
     return nextDue && now >= nextDue;
   }
-  // Fallback to old model for backward compatibility
-  const lastCompleted = quest.lastCompletedAt;
-  const frequencyType = quest.frequencyType || quest.frequency || 'once';
-  switch (frequencyType) {
-    case 'once':
-      return !lastCompleted;
-    case 'daily':
-      if (!lastCompleted) return true;
-      return startOfDay(now) > startOfDay(lastCompleted);
-    case 'weekly':
-      if (!lastCompleted) return true;
-      return getWeekKey(now) !== getWeekKey(lastCompleted);
-    case 'monthly':
-      if (!lastCompleted) return true;
-      return getMonthKey(now) !== getMonthKey(lastCompleted);
-    default:
-      return true;
-  }
+  // Older quests without nextDueAt: work it out from the rule and the last completion
+  const lastCompleted = coerceDate(quest.lastCompletedAt);
+  if (!lastCompleted) return true;
+  const nextDue = getNextDueAt(quest.recurrence || normalizeRecurrence(quest), lastCompleted);
+  return Boolean(nextDue) && now >= nextDue;
 };
 
 const AVATAR_OPTIONS = [
@@ -254,27 +413,114 @@ const AVATAR_OPTIONS = [
   },
 ];
 
-const QuestManager = ({ appId = 'default-app' }) => {
+const FAIRNESS_THRESHOLD_OPTIONS = [
+  { value: 'trailing', label: "Trailing player's own threshold" },
+  { value: 'strictest', label: 'Strictest threshold anyone set' },
+  { value: 'median', label: "Median of everyone's thresholds" },
+  { value: 'household', label: 'One household threshold' },
+];
+
+const FAIRNESS_METRIC_OPTIONS = [
+  { value: 'xp', label: 'Weekly XP' },
+  { value: 'focus', label: 'Focus minutes' },
+  { value: 'difficulty', label: 'Completions weighted by difficulty' },
+  { value: 'recurring', label: 'Recurring chores done' },
+];
+
+const QuestManager = ({ appId = 'default-app', householdId }) => {
   const { currentUser } = useAuth();
-  const [activePage, setActivePage] = useState(PAGES.DASHBOARD);
+  const {
+    households,
+    activeHousehold,
+    switchHousehold,
+    createHousehold,
+    requestToJoinHousehold,
+  } = useHousehold();
+  const [householdModal, setHouseholdModal] = useState(false);
+  const [householdName, setHouseholdName] = useState('');
+  const [creatingHousehold, setCreatingHousehold] = useState(false);
+  const navigate = useNavigate();
+  const { section, questId: routeQuestId } = useParams();
+  const activePage = routeQuestId ? PAGES.QUEST_DETAIL : normalizeUserSection(section);
+  const setActivePage = (page) => navigate(getUserSectionPath(currentUser.uid, page));
+  const openQuestDetail = (questId) => navigate(getQuestPath(currentUser.uid, questId));
   const [users, setUsers] = useState([]);
   const [usersLoading, setUsersLoading] = useState(true);
-  const [chores, setChores] = useState([]);
+  const [choreDocs, setChoreDocs] = useState([]);
   const [newQuestModal, setNewQuestModal] = useState(false);
+  const [editingQuestId, setEditingQuestId] = useState(null);
+  const [questActionError, setQuestActionError] = useState('');
+  const [checklistError, setChecklistError] = useState('');
   const [newQuestForm, setNewQuestForm] = useState(initialTaskForm);
   const [completionModal, setCompletionModal] = useState({ open: false, choreId: null });
   const [completionUserId, setCompletionUserId] = useState('');
+  // Players who helped the completer; XP is split evenly or by the weights given.
+  const [completionHelperIds, setCompletionHelperIds] = useState([]);
+  const [completionSplitMode, setCompletionSplitMode] = useState('even');
+  const [completionWeights, setCompletionWeights] = useState({});
+  const [completionError, setCompletionError] = useState('');
+  const [completing, setCompleting] = useState(false);
+  const [voidingEntryId, setVoidingEntryId] = useState(null);
+  const [historyError, setHistoryError] = useState('');
+  const [correctionModal, setCorrectionModal] = useState({ open: false, entry: null });
+  const [correctionReason, setCorrectionReason] = useState('');
   const [notes, setNotes] = useState('');
   const [signingOut, setSigningOut] = useState(false);
   const [selectedReservedChoreId, setSelectedReservedChoreId] = useState(null);
-  const [timerState, setTimerState] = useState({ choreId: null, isRunning: false, elapsedMs: 0 });
-  const timerStartRef = useRef(null);
+  const [focusSessions, setFocusSessions] = useState([]);
+  const [timerNow, setTimerNow] = useState(() => new Date());
   const monthlySyncRef = useRef({});
+  const releasingReservationsRef = useRef({});
+  const [clock, setClock] = useState(() => new Date());
+  const [reservationError, setReservationError] = useState('');
+  const [householdSettingsForm, setHouseholdSettingsForm] = useState({
+    reservationExpiryHours: DEFAULT_RESERVATION_EXPIRY_HOURS,
+    overdueBonusPercentPerDay: DEFAULT_OVERDUE_BONUS_PERCENT_PER_DAY,
+    overdueBonusCapPercent: DEFAULT_OVERDUE_BONUS_CAP_PERCENT,
+    overduePenaltyXp: 0,
+    xpPerFocusMinute: DEFAULT_XP_PER_FOCUS_MINUTE,
+    streakMaxOverdueDays: DEFAULT_HOUSEHOLD_STREAK_OVERDUE_DAYS,
+    difficultyTiers: DEFAULT_DIFFICULTY_TIERS,
+    fairnessPolicy: DEFAULT_FAIRNESS_POLICY,
+  });
+  const [savingHouseholdSettings, setSavingHouseholdSettings] = useState(false);
+  const [householdSettingsError, setHouseholdSettingsError] = useState('');
+  const weeklySyncRef = useRef({});
   const [fairnessInput, setFairnessInput] = useState(1000);
   const [rewardNote, setRewardNote] = useState('');
   const [savingProfile, setSavingProfile] = useState(false);
   const [savingFairness, setSavingFairness] = useState(false);
   const [savingReward, setSavingReward] = useState(false);
+  const [friendCodeBusy, setFriendCodeBusy] = useState(false);
+  const [friendCodeError, setFriendCodeError] = useState('');
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [joinCodeInput, setJoinCodeInput] = useState('');
+  const [joinStatus, setJoinStatus] = useState(null);
+  const [joinRequestError, setJoinRequestError] = useState('');
+  const [rewards, setRewards] = useState([]);
+  const [redemptions, setRedemptions] = useState([]);
+  const [penalties, setPenalties] = useState([]);
+  const [bosses, setBosses] = useState([]);
+  const [bossForm, setBossForm] = useState({
+    name: '',
+    maxHp: DEFAULT_BOSS_HP,
+    days: DEFAULT_BOSS_DAYS,
+    rewardTitle: '',
+  });
+  const [bossError, setBossError] = useState('');
+  const [swapRequests, setSwapRequests] = useState([]);
+  const [swapModal, setSwapModal] = useState({ open: false, quest: null });
+  const [swapForm, setSwapForm] = useState({ toId: '', tradeQuestId: '' });
+  const [swapError, setSwapError] = useState('');
+  const [rewardForm, setRewardForm] = useState({ title: '', cost: 50 });
+  const [savingShopReward, setSavingShopReward] = useState(false);
+  const [newTierForm, setNewTierForm] = useState({ label: '', xp: 100 });
+  const [levelUpCelebration, setLevelUpCelebration] = useState(null);
+  const seenLevelRef = useRef(null);
+  const [buyingFreeze, setBuyingFreeze] = useState(false);
+  const freezingDaysRef = useRef('');
+  const [redeemingRewardId, setRedeemingRewardId] = useState(null);
+  const [shopMessage, setShopMessage] = useState(null);
   const [spotifyUrl, setSpotifyUrl] = useState(DEFAULT_SPOTIFY_EMBED);
   const [spotifyInput, setSpotifyInput] = useState('');
   const [savingSpotify, setSavingSpotify] = useState(false);
@@ -292,23 +538,79 @@ const QuestManager = ({ appId = 'default-app' }) => {
   const [spotifyError, setSpotifyError] = useState('');
   const [selectedPlaylistId, setSelectedPlaylistId] = useState('');
   const [historyEntries, setHistoryEntries] = useState([]);
+  const [weeklyStandings, setWeeklyStandings] = useState([]);
+  const [selectedStandingsWeek, setSelectedStandingsWeek] = useState('');
 
   const currentUserDoc = useMemo(
     () => users.find((u) => u.id === currentUser?.uid),
     [users, currentUser]
   );
 
+  // Celebrate when my level goes up, whoever recorded the completion. The first
+  // load only records the starting level.
+  const myLevel = currentUserDoc ? getLevelForXp(currentUserDoc.total_xp || 0) : null;
+  const myName = currentUserDoc?.display_name || 'Hero';
+  useEffect(() => {
+    if (myLevel === null) return;
+    if (seenLevelRef.current !== null && myLevel > seenLevelRef.current) {
+      setLevelUpCelebration({
+        name: myName,
+        from: seenLevelRef.current,
+        to: myLevel,
+        title: getLevelTitle(myLevel),
+      });
+    }
+    seenLevelRef.current = myLevel;
+  }, [myLevel, myName]);
+
+  const getMemberName = (userId) => {
+    const member = users.find((u) => u.id === userId);
+    return member?.display_name || userId || 'Unknown';
+  };
+
   const userCollectionPath = useMemo(
-    () => ['artifacts', appId, 'public', 'data', 'users'],
-    [appId]
+    () => getHouseholdCollectionPath(appId, householdId, 'users'),
+    [appId, householdId]
   );
   const choreCollectionPath = useMemo(
-    () => ['artifacts', appId, 'public', 'data', 'chores'],
-    [appId]
+    () => getHouseholdCollectionPath(appId, householdId, 'chores'),
+    [appId, householdId]
   );
   const historyCollectionPath = useMemo(
-    () => ['artifacts', appId, 'public', 'data', 'quest_history'],
-    [appId]
+    () => getHouseholdCollectionPath(appId, householdId, 'quest_history'),
+    [appId, householdId]
+  );
+  const weeklyStandingsCollectionPath = useMemo(
+    () => getHouseholdCollectionPath(appId, householdId, 'weekly_standings'),
+    [appId, householdId]
+  );
+  const joinRequestCollectionPath = useMemo(
+    () => getHouseholdCollectionPath(appId, householdId, 'join_requests'),
+    [appId, householdId]
+  );
+  const rewardCollectionPath = useMemo(
+    () => getHouseholdCollectionPath(appId, householdId, 'rewards'),
+    [appId, householdId]
+  );
+  const redemptionCollectionPath = useMemo(
+    () => getHouseholdCollectionPath(appId, householdId, 'reward_redemptions'),
+    [appId, householdId]
+  );
+  const focusSessionCollectionPath = useMemo(
+    () => getHouseholdCollectionPath(appId, householdId, 'focus_sessions'),
+    [appId, householdId]
+  );
+  const penaltyCollectionPath = useMemo(
+    () => getHouseholdCollectionPath(appId, householdId, 'penalties'),
+    [appId, householdId]
+  );
+  const swapRequestCollectionPath = useMemo(
+    () => getHouseholdCollectionPath(appId, householdId, 'swap_requests'),
+    [appId, householdId]
+  );
+  const bossCollectionPath = useMemo(
+    () => getHouseholdCollectionPath(appId, householdId, 'bosses'),
+    [appId, householdId]
   );
 
   useEffect(() => {
@@ -507,33 +809,20 @@ const QuestManager = ({ appId = 'default-app' }) => {
 
   useEffect(() => {
     const ensureUserDocument = async () => {
-      if (!currentUser || !appId) return;
+      if (!currentUser || !appId || !householdId) return;
       const userRef = doc(db, ...userCollectionPath, currentUser.uid);
       const snap = await getDoc(userRef);
-      const now = new Date();
-      const monthKey = `${now.getFullYear()}-${now.getMonth() + 1}`;
       if (!snap.exists()) {
-        await setDoc(userRef, {
-          id: currentUser.uid,
-          display_name: currentUser.displayName || currentUser.email?.split('@')[0] || 'Hero',
-          avatarUrl: '',
-          total_xp: 0,
-          weekly_xp: 0,
-          star_coins: 0,
-          fairness_threshold: 1000,
-          monthly_xp_start: 0,
-          monthly_start_month: monthKey,
-          monthly_reward_title: '',
-        });
+        await setDoc(userRef, buildMemberDoc(currentUser));
       }
       // Set loading to false after ensuring user document exists
       setUsersLoading(false);
     };
     ensureUserDocument();
-  }, [currentUser, appId, userCollectionPath]);
+  }, [currentUser, appId, householdId, userCollectionPath]);
 
   useEffect(() => {
-    if (!appId) return;
+    if (!appId || !householdId) return;
     const usersRef = collection(db, ...userCollectionPath);
     const unsubscribe = onSnapshot(usersRef, (snapshot) => {
       const u = snapshot.docs.map((docSnap) => ({
@@ -544,25 +833,25 @@ const QuestManager = ({ appId = 'default-app' }) => {
       setUsersLoading(false);
     });
     return () => unsubscribe();
-  }, [appId, userCollectionPath]);
+  }, [appId, householdId, userCollectionPath]);
 
   useEffect(() => {
-    if (!appId) return;
+    if (!appId || !householdId) return;
     const choresRef = collection(db, ...choreCollectionPath);
     const unsubscribe = onSnapshot(choresRef, (snapshot) => {
-      const data = snapshot.docs.map((docSnap) =>
-        normalizeQuestDoc({
-          id: docSnap.id,
-          ...docSnap.data(),
-        })
-      );
-      setChores(data);
+      // Estimate pending server timestamps so a reservation made a moment ago
+      // doesn't look untimestamped (and therefore expired) until the write lands.
+      const data = snapshot.docs.map((docSnap) => ({
+        id: docSnap.id,
+        ...docSnap.data({ serverTimestamps: 'estimate' }),
+      }));
+      setChoreDocs(data);
     });
     return () => unsubscribe();
-  }, [appId, choreCollectionPath]);
+  }, [appId, householdId, choreCollectionPath]);
 
   useEffect(() => {
-    if (!appId) return;
+    if (!appId || !householdId) return;
     const historyRef = collection(db, ...historyCollectionPath);
     const unsubscribe = onSnapshot(historyRef, (snapshot) => {
       const entries = snapshot.docs
@@ -578,7 +867,136 @@ const QuestManager = ({ appId = 'default-app' }) => {
       setHistoryEntries(entries);
     });
     return () => unsubscribe();
-  }, [appId, historyCollectionPath]);
+  }, [appId, householdId, historyCollectionPath]);
+
+  useEffect(() => {
+    if (!appId || !householdId) return;
+    const standingsRef = collection(db, ...weeklyStandingsCollectionPath);
+    const unsubscribe = onSnapshot(standingsRef, (snapshot) => {
+      const weeks = snapshot.docs
+        .map((docSnap) => ({
+          id: docSnap.id,
+          ...docSnap.data(),
+        }))
+        .sort((a, b) => (b.weekNumber || 0) - (a.weekNumber || 0));
+      setWeeklyStandings(weeks);
+    });
+    return () => unsubscribe();
+  }, [appId, householdId, weeklyStandingsCollectionPath]);
+
+  useEffect(() => {
+    if (!appId || !householdId) return;
+    const pendingQuery = query(
+      collection(db, ...joinRequestCollectionPath),
+      where('status', '==', 'pending')
+    );
+    const unsubscribe = onSnapshot(pendingQuery, (snapshot) => {
+      setJoinRequests(
+        snapshot.docs.map((docSnap) => ({
+          id: docSnap.id,
+          ...docSnap.data(),
+        }))
+      );
+    });
+    return () => unsubscribe();
+  }, [appId, householdId, joinRequestCollectionPath]);
+
+  useEffect(() => {
+    if (!appId || !householdId) return;
+    const rewardsRef = collection(db, ...rewardCollectionPath);
+    const unsubscribe = onSnapshot(rewardsRef, (snapshot) => {
+      const data = snapshot.docs
+        .map((docSnap) => ({
+          id: docSnap.id,
+          ...docSnap.data(),
+        }))
+        .filter((reward) => reward.isActive !== false)
+        .sort((a, b) => (a.cost || 0) - (b.cost || 0));
+      setRewards(data);
+    });
+    return () => unsubscribe();
+  }, [appId, householdId, rewardCollectionPath]);
+
+  useEffect(() => {
+    if (!appId || !householdId) return;
+    const redemptionsRef = collection(db, ...redemptionCollectionPath);
+    const unsubscribe = onSnapshot(redemptionsRef, (snapshot) => {
+      const entries = snapshot.docs
+        .map((docSnap) => ({
+          id: docSnap.id,
+          ...docSnap.data(),
+        }))
+        .sort((a, b) => {
+          const aDate = coerceDate(a.redeemedAt)?.getTime() || 0;
+          const bDate = coerceDate(b.redeemedAt)?.getTime() || 0;
+          return bDate - aDate;
+        });
+      setRedemptions(entries);
+    });
+    return () => unsubscribe();
+  }, [appId, householdId, redemptionCollectionPath]);
+
+  useEffect(() => {
+    if (!appId || !householdId) return;
+    const bossesRef = collection(db, ...bossCollectionPath);
+    const unsubscribe = onSnapshot(bossesRef, (snapshot) => {
+      const entries = snapshot.docs
+        .map((docSnap) => normalizeBoss({ id: docSnap.id, ...docSnap.data() }))
+        .sort((a, b) => (b.startsAt?.getTime() || 0) - (a.startsAt?.getTime() || 0));
+      setBosses(entries);
+    });
+    return () => unsubscribe();
+  }, [appId, householdId, bossCollectionPath]);
+
+  useEffect(() => {
+    if (!appId || !householdId) return;
+    const penaltiesRef = collection(db, ...penaltyCollectionPath);
+    const unsubscribe = onSnapshot(penaltiesRef, (snapshot) => {
+      const entries = snapshot.docs
+        .map((docSnap) => ({
+          id: docSnap.id,
+          ...docSnap.data(),
+        }))
+        .sort((a, b) => {
+          const aDate = coerceDate(a.createdAt)?.getTime() || 0;
+          const bDate = coerceDate(b.createdAt)?.getTime() || 0;
+          return bDate - aDate;
+        });
+      setPenalties(entries);
+    });
+    return () => unsubscribe();
+  }, [appId, householdId, penaltyCollectionPath]);
+
+  useEffect(() => {
+    if (!appId || !householdId) return;
+    const swapsQuery = query(
+      collection(db, ...swapRequestCollectionPath),
+      where('status', '==', 'pending')
+    );
+    const unsubscribe = onSnapshot(swapsQuery, (snapshot) => {
+      setSwapRequests(
+        snapshot.docs.map((docSnap) => ({
+          id: docSnap.id,
+          ...docSnap.data(),
+        }))
+      );
+    });
+    return () => unsubscribe();
+  }, [appId, householdId, swapRequestCollectionPath]);
+
+  useEffect(() => {
+    if (!appId || !householdId) return;
+    const sessionsRef = collection(db, ...focusSessionCollectionPath);
+    const unsubscribe = onSnapshot(sessionsRef, (snapshot) => {
+      setFocusSessions(
+        snapshot.docs.map((docSnap) => ({
+          id: docSnap.id,
+          ...docSnap.data({ serverTimestamps: 'estimate' }),
+        }))
+      );
+    });
+    return () => unsubscribe();
+  }, [appId, householdId, focusSessionCollectionPath]);
 
   useEffect(() => {
     if (!users.length) return;
@@ -597,19 +1015,68 @@ const QuestManager = ({ appId = 'default-app' }) => {
     });
   }, [users, appId]);
 
-  const weeklyStats = useMemo(() => {
-    if (!users.length) return { highest: 0, lowest: null };
-    let highest = 0;
-    let lowestUser = null;
-    users.forEach((u) => {
-      const weekly = u.weekly_xp || 0;
-      if (weekly > highest) highest = weekly;
-      if (!lowestUser || weekly < (lowestUser.weekly_xp || 0)) {
-        lowestUser = u;
-      }
+  useEffect(() => {
+    if (!users.length) return;
+    const currentWeekNumber = getWeekNumber(new Date());
+    const staleGroups = groupUsersByStaleWeek(
+      users.filter((user) => weeklySyncRef.current[user.id] !== currentWeekNumber),
+      currentWeekNumber
+    );
+
+    // Every open client races to close the week, so the transaction re-reads the
+    // user docs and only archives players that are still on the old week.
+    const closeOutWeek = (weekNumber, userIds) =>
+      runTransaction(db, async (transaction) => {
+        const standingsRef = doc(db, ...weeklyStandingsCollectionPath, String(weekNumber));
+        const standingsSnap = await transaction.get(standingsRef);
+        const userSnaps = await Promise.all(
+          userIds.map((id) => transaction.get(doc(db, ...userCollectionPath, id)))
+        );
+        const freshUsers = userSnaps
+          .filter((snap) => snap.exists())
+          .map((snap) => ({ id: snap.id, ...snap.data() }));
+        const closingUsers =
+          groupUsersByStaleWeek(freshUsers, currentWeekNumber)[weekNumber] || [];
+        if (!closingUsers.length) return;
+
+        const closingIds = new Set(closingUsers.map((user) => user.id));
+        const existing = standingsSnap.exists() ? standingsSnap.data().standings || [] : [];
+        const standings = rankWeeklyStandings([
+          ...existing.filter((entry) => !closingIds.has(entry.userId)),
+          ...closingUsers.map((user) => ({
+            userId: user.id,
+            displayName: user.display_name || user.id,
+            weeklyXp: user.weekly_xp || 0,
+          })),
+        ]);
+        transaction.set(
+          standingsRef,
+          {
+            weekNumber,
+            weekStart: Timestamp.fromDate(getWeekStartDate(weekNumber)),
+            closedAt: serverTimestamp(),
+            standings,
+          },
+          { merge: true }
+        );
+        closingUsers.forEach((user) => {
+          transaction.update(doc(db, ...userCollectionPath, user.id), {
+            weekly_xp: 0,
+            currentWeek: currentWeekNumber,
+          });
+        });
+      });
+
+    Object.entries(staleGroups).forEach(([weekNumber, weekUsers]) => {
+      weekUsers.forEach((user) => {
+        weeklySyncRef.current[user.id] = currentWeekNumber;
+      });
+      closeOutWeek(
+        Number(weekNumber),
+        weekUsers.map((user) => user.id)
+      ).catch((error) => console.error('Weekly rollover error', error));
     });
-    return { highest, lowest: lowestUser };
-  }, [users]);
+  }, [users, userCollectionPath, weeklyStandingsCollectionPath]);
 
   const monthlyLeaderboard = useMemo(() => {
     return [...users]
@@ -620,7 +1087,183 @@ const QuestManager = ({ appId = 'default-app' }) => {
       .sort((a, b) => b.monthlyXp - a.monthlyXp);
   }, [users]);
 
-  const quests = chores;
+  const selectedStandings = useMemo(
+    () =>
+      weeklyStandings.find((week) => week.id === selectedStandingsWeek) ||
+      weeklyStandings[0] ||
+      null,
+    [weeklyStandings, selectedStandingsWeek]
+  );
+
+  const isAdmin = isHouseholdAdmin(activeHousehold, currentUser.uid);
+  const reservationExpiryHours =
+    activeHousehold?.reservationExpiryHours || DEFAULT_RESERVATION_EXPIRY_HOURS;
+  const overdueBonusPercentPerDay =
+    activeHousehold?.overdueBonusPercentPerDay ?? DEFAULT_OVERDUE_BONUS_PERCENT_PER_DAY;
+  const overdueBonusCapPercent =
+    activeHousehold?.overdueBonusCapPercent ?? DEFAULT_OVERDUE_BONUS_CAP_PERCENT;
+  const overduePenaltyXp = activeHousehold?.overduePenaltyXp || 0;
+  const xpPerFocusMinute = activeHousehold?.xpPerFocusMinute || DEFAULT_XP_PER_FOCUS_MINUTE;
+  const streakMaxOverdueDays =
+    activeHousehold?.streakMaxOverdueDays ?? DEFAULT_HOUSEHOLD_STREAK_OVERDUE_DAYS;
+  const storedDifficultyTiers = activeHousehold?.difficultyTiers;
+  const storedFairnessPolicy = activeHousehold?.fairnessPolicy;
+  const fairnessPolicy = useMemo(
+    () => normalizeFairnessPolicy(storedFairnessPolicy),
+    [storedFairnessPolicy]
+  );
+  const difficultyTiers = useMemo(
+    () => normalizeDifficultyTiers(storedDifficultyTiers),
+    [storedDifficultyTiers]
+  );
+  const getTierLabel = (tierId) =>
+    difficultyTiers.find((tier) => tier.id === tierId)?.label || tierId;
+
+  useEffect(() => {
+    setHouseholdSettingsForm({
+      reservationExpiryHours,
+      overdueBonusPercentPerDay,
+      overdueBonusCapPercent,
+      overduePenaltyXp,
+      xpPerFocusMinute,
+      streakMaxOverdueDays,
+      difficultyTiers,
+      fairnessPolicy,
+    });
+  }, [
+    reservationExpiryHours,
+    overdueBonusPercentPerDay,
+    overdueBonusCapPercent,
+    overduePenaltyXp,
+    xpPerFocusMinute,
+    streakMaxOverdueDays,
+    difficultyTiers,
+    fairnessPolicy,
+  ]);
+
+  // Raw docs are kept so a re-tuned tier re-prices every quest on it straight away.
+  const chores = useMemo(
+    () => choreDocs.map((docData) => normalizeQuestDoc(docData, difficultyTiers)),
+    [choreDocs, difficultyTiers]
+  );
+
+  // The gap fairness works on, measured in whichever metric the household picked.
+  const currentWeekNumber = getWeekNumber(clock);
+  const weeklyStats = useMemo(() => {
+    const weekStart = getWeekStartDate(currentWeekNumber);
+    const questsById = Object.fromEntries(chores.map((quest) => [quest.id, quest]));
+    const weeklyEntries = historyEntries
+      .filter((entry) => !entry.voided && coerceDate(entry.completedAt) >= weekStart)
+      .map((entry) => {
+        const quest = questsById[entry.questId];
+        const difficulty = entry.difficulty || quest?.difficulty;
+        return {
+          completedById: entry.completedById,
+          participantIds: entry.participantIds,
+          xpSplit: entry.xpSplit,
+          focusDurationSeconds: entry.focusDurationSeconds,
+          difficultyXp: resolveQuestXp({ difficulty, xpOverride: null }, difficultyTiers),
+          recurring: quest ? quest.recurrence.freq !== 'once' : false,
+        };
+      });
+    const scores = calculateFairnessScores(
+      users,
+      weeklyEntries,
+      fairnessPolicy.metric,
+      xpPerFocusMinute
+    );
+    return buildFairnessStats(users, scores);
+  }, [
+    users,
+    historyEntries,
+    chores,
+    difficultyTiers,
+    fairnessPolicy,
+    xpPerFocusMinute,
+    currentWeekNumber,
+  ]);
+
+  useEffect(() => {
+    const handle = setInterval(() => setClock(new Date()), 60 * 1000);
+    return () => clearInterval(handle);
+  }, []);
+
+  // Expired reservations are shown as available straight away; the doc itself
+  // is released below by whichever client notices first.
+  const quests = useMemo(
+    () =>
+      chores.map((quest) =>
+        isReservationExpired(quest, reservationExpiryHours, clock)
+          ? { ...quest, reservedById: null, reservedByName: null, reservedAt: null }
+          : quest
+      ),
+    [chores, reservationExpiryHours, clock]
+  );
+
+  useEffect(() => {
+    chores
+      .filter((quest) => isReservationExpired(quest, reservationExpiryHours, clock))
+      .forEach((quest) => {
+        const releaseKey = `${quest.id}:${quest.reservedById}`;
+        if (releasingReservationsRef.current[releaseKey]) return;
+        releasingReservationsRef.current[releaseKey] = true;
+        const questRef = doc(db, ...choreCollectionPath, quest.id);
+        runTransaction(db, async (transaction) => {
+          const questSnap = await transaction.get(questRef);
+          if (!questSnap.exists()) return;
+          const freshQuest = normalizeQuestDoc({ id: questSnap.id, ...questSnap.data() });
+          const now = new Date();
+          if (
+            freshQuest.reservedById !== quest.reservedById ||
+            !isReservationExpired(freshQuest, reservationExpiryHours, now)
+          ) {
+            return;
+          }
+          // Optional house rule: sitting on an overdue quest until the claim lapses costs XP.
+          const overdueMs = isQuestDue(freshQuest, now)
+            ? getOverdueMs(freshQuest.nextDueAt, now)
+            : 0;
+          if (overduePenaltyXp > 0 && getOverdueSeverity(overdueMs).level > 0) {
+            const userRef = doc(db, ...userCollectionPath, freshQuest.reservedById);
+            const userSnap = await transaction.get(userRef);
+            if (userSnap.exists()) {
+              transaction.update(
+                userRef,
+                reverseCompletionProgress(userSnap.data(), {
+                  xpAwarded: overduePenaltyXp,
+                  coinsAwarded: 0,
+                  completedAt: now,
+                })
+              );
+              transaction.set(doc(collection(db, ...penaltyCollectionPath)), {
+                userId: freshQuest.reservedById,
+                userName: freshQuest.reservedByName || null,
+                questId: freshQuest.id,
+                questTitle: freshQuest.title,
+                xp: overduePenaltyXp,
+                reason: 'Reservation lapsed on an overdue quest',
+                createdAt: serverTimestamp(),
+              });
+            }
+          }
+          transaction.update(questRef, releaseLapsedReservation(freshQuest));
+        })
+          .catch((error) => console.error('Reservation release error', error))
+          // The transaction re-checks the live claim, so a later lapse by the
+          // same player can safely be picked up again.
+          .finally(() => {
+            delete releasingReservationsRef.current[releaseKey];
+          });
+      });
+  }, [
+    chores,
+    reservationExpiryHours,
+    clock,
+    choreCollectionPath,
+    overduePenaltyXp,
+    userCollectionPath,
+    penaltyCollectionPath,
+  ]);
 
   const dueQuests = useMemo(() => {
     const now = new Date();
@@ -629,6 +1272,97 @@ const QuestManager = ({ appId = 'default-app' }) => {
 
   const sortByTitle = (a, b) => a.title.localeCompare(b.title);
 
+  const getQuestOverdue = (quest) => {
+    const overdueMs = isQuestDue(quest, clock) ? getOverdueMs(quest.nextDueAt, clock) : 0;
+    return {
+      overdueMs,
+      severity: getOverdueSeverity(overdueMs),
+      bonusXp: calculateOverdueBonusXp(
+        quest.xp || 0,
+        overdueMs,
+        overdueBonusPercentPerDay,
+        overdueBonusCapPercent
+      ),
+    };
+  };
+
+  const overdueLevels = dueQuests.map((quest) => getQuestOverdue(quest).severity.level);
+  const overdueQuestCount = overdueLevels.filter((level) => level > 0).length;
+  const activeQuestCount = quests.filter(
+    (quest) => quest.isActive !== false && !quest.isPaused && !quest.archivedAt
+  ).length;
+  const neglectMeter = calculateNeglectMeter(overdueLevels, activeQuestCount);
+
+  // Older history entries don't record difficulty, so borrow it from the quest.
+  const myAchievements = useMemo(() => {
+    if (!currentUserDoc) return evaluateAchievements([], { id: currentUser?.uid });
+    const questsById = Object.fromEntries(chores.map((quest) => [quest.id, quest]));
+    const entries = historyEntries.map((entry) =>
+      entry.difficulty
+        ? entry
+        : { ...entry, difficulty: questsById[entry.questId]?.difficulty }
+    );
+    return evaluateAchievements(entries, currentUserDoc);
+  }, [historyEntries, chores, currentUserDoc, currentUser]);
+  const unlockedAchievements = myAchievements.filter((achievement) => achievement.unlocked);
+
+  const myFrozenDays = currentUserDoc?.streak_frozen_days;
+  const myFreezeTokens = currentUserDoc?.streak_freezes || 0;
+  const myStreaks = useMemo(
+    () => calculatePlayerStreaks(historyEntries, currentUser?.uid, myFrozenDays || [], clock),
+    [historyEntries, currentUser, myFrozenDays, clock]
+  );
+  const householdStreak = useMemo(
+    () =>
+      calculateHouseholdStreak({
+        historyEntries,
+        openQuests: dueQuests,
+        maxOverdueDays: streakMaxOverdueDays,
+        since: activeHousehold?.createdAt,
+        now: clock,
+      }),
+    [historyEntries, dueQuests, streakMaxOverdueDays, activeHousehold, clock]
+  );
+
+  const activeBoss = getActiveBoss(bosses, clock);
+  const upcomingBoss = bosses.find((boss) => getBossStatus(boss, clock) === 'upcoming');
+  const defeatedBosses = bosses.filter((boss) => getBossStatus(boss, clock) === 'defeated');
+
+  // Missed days are covered automatically while freeze tokens last; a gap
+  // longer than the tokens on hand lets the streak lapse instead.
+  useEffect(() => {
+    if (!currentUser || !myFreezeTokens) return;
+    const missedDays = getMissedStreakDays(
+      historyEntries,
+      currentUser.uid,
+      myFrozenDays || [],
+      myFreezeTokens,
+      clock
+    );
+    const freezeKey = missedDays.join();
+    if (!missedDays.length || freezingDaysRef.current === freezeKey) return;
+    freezingDaysRef.current = freezeKey;
+    const userRef = doc(db, ...userCollectionPath, currentUser.uid);
+    runTransaction(db, async (transaction) => {
+      const userSnap = await transaction.get(userRef);
+      const user = userSnap.exists() ? userSnap.data() : {};
+      const tokens = user.streak_freezes || 0;
+      // Another tab or device may have frozen some of these days already.
+      const alreadyFrozen = new Set(user.streak_frozen_days || []);
+      const daysToFreeze = missedDays.filter((day) => !alreadyFrozen.has(day));
+      if (!daysToFreeze.length || tokens < daysToFreeze.length) return;
+      transaction.update(userRef, {
+        streak_freezes: tokens - daysToFreeze.length,
+        streak_frozen_days: arrayUnion(...daysToFreeze),
+      });
+    }).catch((error) => console.error('Streak freeze error', error));
+  }, [historyEntries, currentUser, myFrozenDays, myFreezeTokens, clock, userCollectionPath]);
+
+  const fairnessThreshold = resolveFairnessThreshold(fairnessPolicy, weeklyStats);
+  const fairnessGap = weeklyStats.highest - (weeklyStats.lowest?.fairnessScore || 0);
+  const fairnessUnit = fairnessPolicy.metric === 'xp' ? 'XP' : 'pts';
+  const lastFairnessAward = historyEntries.find((entry) => !entry.voided && entry.fairness);
+
   const myReservedDueQuests = useMemo(
     () =>
       dueQuests
@@ -637,35 +1371,41 @@ const QuestManager = ({ appId = 'default-app' }) => {
     [dueQuests, currentUser]
   );
 
+  // A session only counts while its player still holds the reservation, so a
+  // released or completed quest doesn't leave a ghost timer behind.
+  const activeFocusSessions = useMemo(
+    () =>
+      focusSessions.filter((session) =>
+        dueQuests.some(
+          (quest) => quest.id === session.questId && quest.reservedById === session.id
+        )
+      ),
+    [focusSessions, dueQuests]
+  );
+
+  const myFocusSession = useMemo(
+    () => activeFocusSessions.find((session) => session.id === currentUser?.uid) || null,
+    [activeFocusSessions, currentUser]
+  );
+
   useEffect(() => {
     if (!myReservedDueQuests.length) {
       setSelectedReservedChoreId(null);
-      if (timerState.isRunning) {
-        setTimerState({ choreId: null, isRunning: false, elapsedMs: 0 });
-      }
       return;
     }
     if (!selectedReservedChoreId) {
-      setSelectedReservedChoreId(myReservedDueQuests[0].id);
+      setSelectedReservedChoreId(myFocusSession?.questId || myReservedDueQuests[0].id);
     }
-  }, [myReservedDueQuests, selectedReservedChoreId, timerState.isRunning]);
+  }, [myReservedDueQuests, selectedReservedChoreId, myFocusSession]);
+
+  const anyFocusRunning = activeFocusSessions.some((session) => session.status === 'running');
 
   useEffect(() => {
-    if (!timerState.isRunning || !timerState.choreId) {
-      timerStartRef.current = null;
-      return;
-    }
-    if (!timerStartRef.current) {
-      timerStartRef.current = Date.now() - timerState.elapsedMs;
-    }
-    const handle = setInterval(() => {
-      setTimerState((prev) => ({
-        ...prev,
-        elapsedMs: Date.now() - (timerStartRef.current || Date.now()),
-      }));
-    }, 1000);
+    if (!anyFocusRunning) return;
+    setTimerNow(new Date());
+    const handle = setInterval(() => setTimerNow(new Date()), 1000);
     return () => clearInterval(handle);
-  }, [timerState.isRunning, timerState.choreId]);
+  }, [anyFocusRunning]);
 
   const reservedQuests = useMemo(
     () =>
@@ -675,8 +1415,8 @@ const QuestManager = ({ appId = 'default-app' }) => {
             quest.isActive !== false &&
             Boolean(quest.reservedById)
         )
-        .sort(sortByTitle),
-    [dueQuests]
+        .sort(compareByUrgency(clock)),
+    [dueQuests, clock]
   );
   const availableQuests = useMemo(
     () =>
@@ -686,8 +1426,19 @@ const QuestManager = ({ appId = 'default-app' }) => {
             quest.isActive !== false &&
             !quest.reservedById
         )
+        .sort(compareByUrgency(clock)),
+    [dueQuests, clock]
+  );
+  const upcomingQuests = useMemo(
+    () =>
+      quests
+        .filter((quest) => !quest.archivedAt && !dueQuests.includes(quest))
         .sort(sortByTitle),
-    [dueQuests]
+    [quests, dueQuests]
+  );
+  const archivedQuests = useMemo(
+    () => quests.filter((quest) => quest.archivedAt).sort(sortByTitle),
+    [quests]
   );
   const completedQuestsRecent = useMemo(() => {
     // Get recent completions from history (last 10 entries, sorted by most recent)
@@ -704,7 +1455,7 @@ const QuestManager = ({ appId = 'default-app' }) => {
       })
       .filter((entry) => {
         // Include entries that have a questTitle (required field)
-        return entry.questTitle || entry.quest_title;
+        return !entry.voided && (entry.questTitle || entry.quest_title);
       })
       .sort((a, b) => {
         // Sort by date (most recent first), fallback to 0 if no date
@@ -718,16 +1469,23 @@ const QuestManager = ({ appId = 'default-app' }) => {
     if (!newQuestForm.title.trim()) return;
     
     console.log('handleCreateQuest called, creating quest...');
+    const now = new Date();
+    const recurrence = buildRecurrenceFromForm(newQuestForm, now);
     
     try {
       await addDoc(collection(db, ...choreCollectionPath), {
         title: newQuestForm.title.trim(),
         difficulty: newQuestForm.difficulty,
-        xp: difficultyPresets[newQuestForm.difficulty].xp,
-        frequencyType: newQuestForm.frequencyType,
-        frequencyInterval: newQuestForm.frequencyInterval,
+        xpOverride: parseXpOverride(newQuestForm.xpOverride),
+        checklist: normalizeChecklist(newQuestForm.checklist),
+        checklistProgress: {},
+        frequencyType: recurrence.freq,
+        frequencyInterval: recurrence.interval,
+        recurrence: { ...recurrence, startAt: toTimestamp(now) },
+        assignment: buildAssignmentFromForm(newQuestForm),
         isActive: true,
-        nextDueAt: serverTimestamp(), // Set to now so quest appears immediately
+        // Simple rules are due right away; day-picking rules wait for their first day.
+        nextDueAt: toTimestamp(getFirstDueAt(normalizeRecurrence({ recurrence }), now)),
         createdById: currentUser.uid,
         createdByName:
           currentUserDoc?.display_name ||
@@ -736,6 +1494,7 @@ const QuestManager = ({ appId = 'default-app' }) => {
           'Hero',
         reservedById: null,
         reservedByName: null,
+        reservedAt: null,
         lastCompletedAt: null,
         lastFocusDurationSeconds: null,
         lastCompletedById: null,
@@ -753,139 +1512,798 @@ const QuestManager = ({ appId = 'default-app' }) => {
     }
   };
 
-  const toggleReservation = async (quest) => {
-    if (!isQuestDue(quest)) return;
-    if (quest.reservedById && quest.reservedById !== currentUser.uid) return;
-    const questRef = doc(db, ...choreCollectionPath, quest.id);
-    const alreadyReserved = quest.reservedById === currentUser.uid;
-    await updateDoc(questRef, {
-      reservedById: alreadyReserved ? null : currentUser.uid,
-      reservedByName: alreadyReserved
-        ? null
-        : player.display_name || currentUser.displayName || currentUser.email,
-    });
+  const openCreateQuest = () => {
+    setNewQuestForm((prev) =>
+      difficultyTiers.some((tier) => tier.id === prev.difficulty)
+        ? prev
+        : { ...prev, difficulty: difficultyTiers[0].id }
+    );
+    setNewQuestModal(true);
   };
 
-  const handleFocusQuest = async (quest) => {
-    if (!isQuestDue(quest)) return;
-    if (quest.reservedById && quest.reservedById !== currentUser.uid) return;
-    if (!quest.reservedById) {
-      await toggleReservation(quest);
-    }
-    setSelectedReservedChoreId(quest.id);
-    setActivePage(PAGES.FOCUS_MODE);
+  const closeQuestModal = () => {
+    setNewQuestForm(initialTaskForm);
+    setEditingQuestId(null);
+    setNewQuestModal(false);
   };
 
-  const startTimer = () => {
-    if (!selectedReservedChoreId) return;
-    setTimerState((prev) => ({
-      choreId: selectedReservedChoreId,
-      isRunning: true,
-      elapsedMs: prev.choreId === selectedReservedChoreId ? prev.elapsedMs : 0,
+  const openEditQuest = (quest) => {
+    setNewQuestForm({
+      ...initialTaskForm,
+      title: quest.title,
+      difficulty: quest.difficulty,
+      xpOverride: quest.xpOverride ?? '',
+      checklist: quest.checklist,
+      ...getRecurrenceForm(quest.recurrence),
+      assignmentMode: quest.assignment.mode,
+      assignmentMemberIds: quest.assignment.memberIds,
+    });
+    setEditingQuestId(quest.id);
+    setNewQuestModal(true);
+  };
+
+  const addChecklistStep = () => {
+    const label = newQuestForm.newStepLabel.trim();
+    if (!label) return;
+    setNewQuestForm((prev) => ({
+      ...prev,
+      checklist: [...prev.checklist, { id: createStepId(prev.checklist), label }],
+      newStepLabel: '',
     }));
   };
 
-  const pauseTimer = () => {
-    setTimerState((prev) => ({ ...prev, isRunning: false }));
+  const removeChecklistStep = (stepId) =>
+    setNewQuestForm((prev) => ({
+      ...prev,
+      checklist: prev.checklist.filter((step) => step.id !== stepId),
+    }));
+
+  // Anyone can tick a step of a due quest; only the player who ticked it can
+  // take it back. The ticks decide how the completion's XP is split, so the
+  // live tick is re-read and a step someone else just claimed is left alone.
+  const toggleChecklistStep = async (quest, step) => {
+    const untick = quest.checklistProgress[step.id]?.doneById === currentUser.uid;
+    const questRef = doc(db, ...choreCollectionPath, quest.id);
+    setChecklistError('');
+    try {
+      await runTransaction(db, async (transaction) => {
+        const questSnap = await transaction.get(questRef);
+        if (!questSnap.exists()) {
+          throw new Error('This quest no longer exists.');
+        }
+        const tick = questSnap.data().checklistProgress?.[step.id];
+        if (tick && tick.doneById !== currentUser.uid) {
+          throw new Error(`${tick.doneByName || 'Someone else'} already ticked this step.`);
+        }
+        if (untick !== Boolean(tick)) return;
+        transaction.update(questRef, {
+          [`checklistProgress.${step.id}`]: untick
+            ? deleteField()
+            : {
+                doneById: currentUser.uid,
+                doneByName: player.display_name || 'Hero',
+                doneAt: serverTimestamp(),
+              },
+        });
+      });
+    } catch (error) {
+      console.error('Error updating checklist', error);
+      setChecklistError(error.message || 'Unable to update this checklist.');
+    }
   };
 
-  const resetTimer = () => {
-    setTimerState({ choreId: null, isRunning: false, elapsedMs: 0 });
-    timerStartRef.current = null;
+  const updateQuestDefinition = async (quest, updates) => {
+    if (!canManageQuest(quest, activeHousehold, currentUser.uid)) {
+      setQuestActionError('Only the quest creator or a household admin can change this quest.');
+      return false;
+    }
+    setQuestActionError('');
+    try {
+      await updateDoc(doc(db, ...choreCollectionPath, quest.id), {
+        ...updates,
+        updatedAt: serverTimestamp(),
+        updatedById: currentUser.uid,
+      });
+      return true;
+    } catch (error) {
+      console.error('Error updating quest', error);
+      setQuestActionError('Failed to update this quest.');
+      return false;
+    }
   };
 
-  const openCompletion = (choreId, preserveNotes = false) => {
-    setCompletionUserId(currentUser?.uid || '');
-    if (!preserveNotes) {
-      setNotes('');
+  const handleUpdateQuest = async () => {
+    const quest = chores.find((c) => c.id === editingQuestId);
+    if (!quest || !newQuestForm.title.trim()) return;
+    const now = new Date();
+    const recurrence = buildRecurrenceFromForm(newQuestForm, quest.recurrence.startAt || now);
+    const updates = {
+      title: newQuestForm.title.trim(),
+      difficulty: newQuestForm.difficulty,
+      xpOverride: parseXpOverride(newQuestForm.xpOverride),
+      checklist: normalizeChecklist(newQuestForm.checklist),
+      frequencyType: recurrence.freq,
+      frequencyInterval: recurrence.interval,
+      recurrence: { ...recurrence, startAt: toTimestamp(recurrence.startAt) },
+      assignment: buildAssignmentFromForm(newQuestForm, quest.assignment),
+    };
+    // A changed schedule moves the upcoming occurrence, but one that's already
+    // due stays open until someone completes it.
+    const scheduleChanged =
+      JSON.stringify(getRecurrenceForm(quest.recurrence)) !==
+      JSON.stringify(getRecurrenceForm(normalizeRecurrence({ recurrence })));
+    if (scheduleChanged && quest.isActive !== false && !isQuestDue(quest, now)) {
+      updates.nextDueAt = toTimestamp(getFirstDueAt(normalizeRecurrence({ recurrence }), now));
     }
-    setCompletionModal({ open: true, choreId });
+    const updated = await updateQuestDefinition(quest, updates);
+    if (updated) closeQuestModal();
   };
 
-  const updateUserProgress = async (userId, xpDelta) => {
-    const user = users.find((u) => u.id === userId);
-    const baseTotal = user?.total_xp || 0;
-    const baseWeekly = user?.weekly_xp || 0;
-    const newTotal = baseTotal + xpDelta;
-    const newWeekly = baseWeekly + xpDelta;
-    const newStarCoins = Math.floor(newTotal / 10);
-    const userRef = doc(db, ...userCollectionPath, userId);
-    await setDoc(
-      userRef,
-      {
-        total_xp: newTotal,
+  // Pausing or archiving drops any reservation so the quest doesn't stay claimed
+  // while nobody can complete it.
+  const releasedReservation = { reservedById: null, reservedByName: null, reservedAt: null };
+
+  const togglePauseQuest = (quest) =>
+    updateQuestDefinition(
+      quest,
+      quest.isPaused
+        ? {
+            isPaused: false,
+            pausedAt: null,
+            nextDueAt: toTimestamp(
+              getResumedDueAt(quest.recurrence, quest.nextDueAt, quest.pausedAt)
+            ),
+          }
+        : { isPaused: true, pausedAt: serverTimestamp(), ...releasedReservation }
+    );
+
+  const toggleArchiveQuest = (quest) =>
+    updateQuestDefinition(
+      quest,
+      quest.archivedAt
+        ? { archivedAt: null }
+        : { archivedAt: serverTimestamp(), ...releasedReservation }
+    );
+
+  // History entries carry their own questTitle, so they outlive the quest doc.
+  const handleDeleteQuest = async (quest) => {
+    if (!canManageQuest(quest, activeHousehold, currentUser.uid)) {
+      setQuestActionError('Only the quest creator or a household admin can delete this quest.');
+      return;
+    }
+    if (!window.confirm(`Delete "${quest.title}"? Its completion history will be kept.`)) return;
+    setQuestActionError('');
+    try {
+      await deleteDoc(doc(db, ...choreCollectionPath, quest.id));
+      if (activePage === PAGES.QUEST_DETAIL) {
+        setActivePage(PAGES.QUEST_LOG);
+      }
+    } catch (error) {
+      console.error('Error deleting quest', error);
+      setQuestActionError('Failed to delete this quest.');
+    }
+  };
+
+  // Claims go through a transaction against the live quest doc, so when two
+  // players tap Reserve together exactly one of them gets it.
+  const toggleReservation = async (quest) => {
+    if (!isQuestDue(quest)) return false;
+    if (quest.reservedById && quest.reservedById !== currentUser.uid) return false;
+    const questRef = doc(db, ...choreCollectionPath, quest.id);
+    const releasing = quest.reservedById === currentUser.uid;
+    setReservationError('');
+    try {
+      await runTransaction(db, async (transaction) => {
+        const questSnap = await transaction.get(questRef);
+        if (!questSnap.exists()) {
+          throw new Error('This quest no longer exists.');
+        }
+        const freshQuest = normalizeQuestDoc({ id: questSnap.id, ...questSnap.data() });
+        const heldByOther =
+          freshQuest.reservedById &&
+          freshQuest.reservedById !== currentUser.uid &&
+          !isReservationExpired(freshQuest, reservationExpiryHours, new Date());
+        if (releasing) {
+          if (freshQuest.reservedById !== currentUser.uid) return;
+          transaction.update(questRef, {
+            reservedById: null,
+            reservedByName: null,
+            reservedAt: null,
+          });
+          return;
+        }
+        if (freshQuest.assigneeId && freshQuest.assigneeId !== currentUser.uid) {
+          const assigneeName = getMemberName(freshQuest.assigneeId);
+          throw new Error(`${freshQuest.title} is assigned to ${assigneeName}.`);
+        }
+        if (heldByOther) {
+          throw new Error(
+            `Someone beat you to it! ${freshQuest.reservedByName || 'Another player'} reserved ${
+              freshQuest.title
+            }.`
+          );
+        }
+        if (!isQuestDue(freshQuest)) {
+          throw new Error(`${freshQuest.title} was already completed.`);
+        }
+        transaction.update(questRef, {
+          reservedById: currentUser.uid,
+          reservedByName: player.display_name || currentUser.displayName || currentUser.email,
+          reservedAt: serverTimestamp(),
+        });
+      });
+      return true;
+    } catch (error) {
+      console.error('Reservation error', error);
+      setReservationError(error.message || 'Unable to reserve this quest.');
+      return false;
+    }
+  };
+
+  const incomingSwapRequests = swapRequests.filter((request) => request.toId === currentUser.uid);
+  const outgoingSwapRequests = swapRequests.filter((request) => request.fromId === currentUser.uid);
+
+  const openSwapModal = (quest) => {
+    setSwapForm({ toId: '', tradeQuestId: '' });
+    setSwapError('');
+    setSwapModal({ open: true, quest });
+  };
+
+  const closeSwapModal = () => setSwapModal({ open: false, quest: null });
+
+  const handleSendSwapRequest = async () => {
+    const { quest } = swapModal;
+    if (!quest || !swapForm.toId) return;
+    if (quest.assigneeId !== currentUser.uid) {
+      setSwapError('Only the current assignee can ask for a swap.');
+      return;
+    }
+    const tradeQuest = quests.find((q) => q.id === swapForm.tradeQuestId) || null;
+    try {
+      await addDoc(collection(db, ...swapRequestCollectionPath), {
+        questId: quest.id,
+        questTitle: quest.title,
+        occurrenceId: getQuestOccurrenceId(quest.id, quest.nextDueAt),
+        fromId: currentUser.uid,
+        fromName: getMemberName(currentUser.uid),
+        toId: swapForm.toId,
+        toName: getMemberName(swapForm.toId),
+        tradeQuestId: tradeQuest?.id || null,
+        tradeQuestTitle: tradeQuest?.title || null,
+        tradeOccurrenceId: tradeQuest
+          ? getQuestOccurrenceId(tradeQuest.id, tradeQuest.nextDueAt)
+          : null,
+        status: 'pending',
+        createdAt: serverTimestamp(),
+      });
+      closeSwapModal();
+    } catch (error) {
+      console.error('Error requesting swap', error);
+      setSwapError('Failed to send the swap request.');
+    }
+  };
+
+  // Accepting re-checks that both turns are still the ones the request was made
+  // for, then hands each occurrence to the other member.
+  const handleSwapDecision = async (request, accept) => {
+    const requestRef = doc(db, ...swapRequestCollectionPath, request.id);
+    setReservationError('');
+    try {
+      if (!accept) {
+        await updateDoc(requestRef, { status: 'declined', resolvedAt: serverTimestamp() });
+        return;
+      }
+      await runTransaction(db, async (transaction) => {
+        const questRef = doc(db, ...choreCollectionPath, request.questId);
+        const tradeRef = request.tradeQuestId
+          ? doc(db, ...choreCollectionPath, request.tradeQuestId)
+          : null;
+        const [requestSnap, questSnap, tradeSnap] = await Promise.all([
+          transaction.get(requestRef),
+          transaction.get(questRef),
+          tradeRef ? transaction.get(tradeRef) : Promise.resolve(null),
+        ]);
+        if (!requestSnap.exists() || requestSnap.data().status !== 'pending') {
+          throw new Error('This swap request is no longer open.');
+        }
+        const handOver = (snap, occurrenceId, fromId, toId) => {
+          if (!snap?.exists()) {
+            throw new Error('A quest in this swap no longer exists.');
+          }
+          const quest = normalizeQuestDoc({ id: snap.id, ...snap.data() });
+          if (
+            quest.assigneeId !== fromId ||
+            getQuestOccurrenceId(quest.id, quest.nextDueAt) !== occurrenceId
+          ) {
+            throw new Error(`${quest.title} has moved on since this swap was requested.`);
+          }
+          const updates = {
+            'assignment.overrideId': toId,
+            'assignment.overrideOccurrenceId': occurrenceId,
+          };
+          if (quest.reservedById === fromId) {
+            Object.assign(updates, { reservedById: null, reservedByName: null, reservedAt: null });
+          }
+          return updates;
+        };
+        const questUpdates = handOver(
+          questSnap,
+          request.occurrenceId,
+          request.fromId,
+          request.toId
+        );
+        const tradeUpdates = tradeRef
+          ? handOver(tradeSnap, request.tradeOccurrenceId, request.toId, request.fromId)
+          : null;
+        transaction.update(questRef, questUpdates);
+        if (tradeUpdates) {
+          transaction.update(tradeRef, tradeUpdates);
+        }
+        transaction.update(requestRef, { status: 'accepted', resolvedAt: serverTimestamp() });
+      });
+    } catch (error) {
+      console.error('Swap error', error);
+      setReservationError(error.message || 'Unable to complete this swap.');
+    }
+  };
+
+  const handleCancelSwap = async (request) => {
+    try {
+      await updateDoc(doc(db, ...swapRequestCollectionPath, request.id), {
+        status: 'cancelled',
+        resolvedAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('Error cancelling swap', error);
+    }
+  };
+
+  const handleFocusQuest = async (quest) => {
+    if (!isQuestDue(quest)) return;
+    if (quest.reservedById && quest.reservedById !== currentUser.uid) return;
+    if (!quest.reservedById) {
+      const claimed = await toggleReservation(quest);
+      if (!claimed) return;
+    }
+    setSelectedReservedChoreId(quest.id);
+    setActivePage(PAGES.FOCUS_MODE);
+  };
+
+  const focusSessionRef = () => doc(db, ...focusSessionCollectionPath, currentUser.uid);
+
+  const startTimer = async () => {
+    if (!selectedReservedChoreId) return;
+    const quest = myReservedDueQuests.find((q) => q.id === selectedReservedChoreId);
+    const resuming = myFocusSession?.questId === selectedReservedChoreId;
+    try {
+      await setDoc(focusSessionRef(), {
+        questId: selectedReservedChoreId,
+        questTitle: quest?.title || 'Quest',
+        status: 'running',
+        accumulatedMs: resuming ? myFocusSession.accumulatedMs || 0 : 0,
+        startedAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('Error starting focus session', error);
+    }
+  };
+
+  const pauseTimer = async () => {
+    if (!myFocusSession) return;
+    try {
+      await updateDoc(focusSessionRef(), {
+        status: 'paused',
+        accumulatedMs: getFocusElapsedMs(myFocusSession, new Date()),
+        startedAt: null,
+        updatedAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('Error pausing focus session', error);
+    }
+  };
+
+  const resetTimer = async () => {
+    try {
+      await deleteDoc(focusSessionRef());
+    } catch (error) {
+      console.error('Error resetting focus session', error);
+    }
+  };
+
+  const openCompletion = (choreId, preserveNotes = false) => {
+    const quest = quests.find((q) => q.id === choreId);
+    setCompletionUserId(quest?.assigneeId || currentUser?.uid || '');
+    setCompletionHelperIds([]);
+    setCompletionSplitMode('even');
+    setCompletionWeights({});
+    setCompletionError('');
+    if (!preserveNotes) {
+      setNotes('');
+    }
+    setCompletionModal({ open: true, choreId });
+  };
+
+  const updateUserProgress = (transaction, userSnap, xpDelta) => {
+    const user = userSnap.exists() ? userSnap.data() : {};
+    const newTotal = (user.total_xp || 0) + xpDelta;
+    const newWeekly = (user.weekly_xp || 0) + xpDelta;
+    const coinsAwarded = calculateStarCoins(xpDelta);
+    const levelUp = getLevelUp(user.total_xp || 0, newTotal);
+    transaction.set(
+      userSnap.ref,
+      {
+        total_xp: newTotal,
         weekly_xp: newWeekly,
-        star_coins: newStarCoins,
+        star_coins: (user.star_coins || 0) + coinsAwarded,
       },
       { merge: true }
     );
+    return { coinsAwarded, levelUp };
+  };
+
+  const closeCompletionModal = () => {
+    setCompletionModal({ open: false, choreId: null });
+    setCompletionUserId('');
+    setCompletionHelperIds([]);
+    setCompletionSplitMode('even');
+    setCompletionWeights({});
+    setCompletionError('');
   };
 
+  const toggleCompletionHelper = (userId) =>
+    setCompletionHelperIds((prev) =>
+      prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]
+    );
+
+  // The completer comes first so they collect any rounding leftovers.
+  const getCompletionParticipants = () =>
+    [completionUserId, ...completionHelperIds.filter((id) => id !== completionUserId)].map(
+      (userId) => ({
+        userId,
+        weight: completionSplitMode === 'shares' ? Number(completionWeights[userId] ?? 1) : 1,
+      })
+    );
+
+  const hasInvalidWeights = (participants) =>
+    completionSplitMode === 'shares' && participants.some((p) => !(p.weight > 0));
+
   const handleConfirmCompletion = async () => {
-    if (!completionModal.choreId || !completionUserId) return;
+    if (!completionModal.choreId || !completionUserId || completing) return;
     const quest = chores.find((c) => c.id === completionModal.choreId);
     if (!quest) return;
     if (!isQuestDue(quest)) {
-      setCompletionModal({ open: false, choreId: null });
+      closeCompletionModal();
+      return;
+    }
+    const completesMySession = myFocusSession?.questId === quest.id;
+    const focusDurationSeconds = completesMySession
+      ? Math.floor(getFocusElapsedMs(myFocusSession, new Date()) / 1000)
+      : null;
+    const overdueBonusXp = calculateOverdueBonusXp(
+      quest.xp || 0,
+      getOverdueMs(quest.nextDueAt, new Date()),
+      overdueBonusPercentPerDay,
+      overdueBonusCapPercent
+    );
+    const baseXp = (quest.xp || 0) + overdueBonusXp;
+    const participants = getCompletionParticipants();
+    if (!quest.checklist.length && hasInvalidWeights(participants)) {
+      setCompletionError('Give every player a share above 0.');
       return;
     }
-    const focusDurationSeconds =
-      timerState.choreId === quest.id ? Math.floor(timerState.elapsedMs / 1000) : null;
-    const { xpAward } = calculateXpWithFairness(completionUserId, quest.xp || 0, weeklyStats);
     const completedUser = users.find((u) => u.id === completionUserId);
     const completedByName = completedUser?.display_name || completedUser?.id || 'Hero';
+    // Priced with this run included, ready for quests set to auto-apply.
+    const effortSuggestion = suggestQuestXp(
+      [{ focusDurationSeconds }, ...getQuestCompletions(historyEntries, quest.id)],
+      xpPerFocusMinute
+    );
+    const occurrenceId = getQuestOccurrenceId(quest.id, quest.nextDueAt);
+    const questRef = doc(db, ...choreCollectionPath, quest.id);
+    const historyRef = doc(collection(db, ...historyCollectionPath));
+    const bossRef = activeBoss ? doc(db, ...bossCollectionPath, activeBoss.id) : null;
+
+    setCompleting(true);
+    setCompletionError('');
+    let celebration = null;
     try {
-      await updateUserProgress(completionUserId, xpAward);
-      const questRef = doc(db, ...choreCollectionPath, quest.id);
-      
-      // Create QuestHistoryEntry
-      await addDoc(collection(db, ...historyCollectionPath), {
-        questId: quest.id,
-        questTitle: quest.title,
-        completedById: completionUserId,
-        completedByName,
-        completedAt: serverTimestamp(),
-        xpAwarded: xpAward,
-        reservedById: quest.reservedById || null,
-        reservedByName: quest.reservedByName || null,
-        focusDurationSeconds,
-        notes: notes || null,
+      // XP, the history entry and the quest's next due date are written together,
+      // and re-checking the live occurrence rejects a second completion.
+      await runTransaction(db, async (transaction) => {
+        const [questSnap, bossSnap] = await Promise.all([
+          transaction.get(questRef),
+          bossRef ? transaction.get(bossRef) : Promise.resolve(null),
+        ]);
+        if (!questSnap.exists()) {
+          throw new Error('This quest no longer exists.');
+        }
+        const freshQuest = normalizeQuestDoc(
+          { id: questSnap.id, ...questSnap.data() },
+          difficultyTiers
+        );
+        if (
+          !isQuestDue(freshQuest) ||
+          getQuestOccurrenceId(freshQuest.id, freshQuest.nextDueAt) !== occurrenceId
+        ) {
+          throw new Error('This quest was already completed.');
+        }
+        // A pinned or rotating turn belongs to its assignee; only an admin can
+        // credit someone else, and the rotation still moves on when they do.
+        if (
+          freshQuest.assigneeId &&
+          freshQuest.assigneeId !== completionUserId &&
+          !isHouseholdAdmin(activeHousehold, currentUser.uid)
+        ) {
+          throw new Error(
+            `This turn belongs to ${getMemberName(freshQuest.assigneeId)}. ` +
+              'Only a household admin can credit someone else.'
+          );
+        }
+        const autoXp = freshQuest.autoXp && effortSuggestion ? effortSuggestion.xp : null;
+
+        // Checklist quests pay each player for the steps they ticked; otherwise
+        // the chosen participants share it. Fairness applies to each share.
+        const shares = freshQuest.checklist.length
+          ? splitXpBySteps(
+              baseXp,
+              freshQuest.checklist,
+              freshQuest.checklistProgress,
+              completionUserId
+            )
+          : splitXpByShares(baseXp, participants);
+        const userSnaps = await Promise.all(
+          shares.map((share) => transaction.get(doc(db, ...userCollectionPath, share.userId)))
+        );
+        const awards = shares.map((share, index) => {
+          const fairness = calculateXpWithFairness(
+            share.userId,
+            share.xp,
+            weeklyStats,
+            fairnessPolicy
+          );
+          return {
+            userId: share.userId,
+            name: share.userId === completionUserId ? completedByName : getMemberName(share.userId),
+            fairness,
+            xpAwarded: fairness.xpAward,
+            ...updateUserProgress(transaction, userSnaps[index], fairness.xpAward),
+          };
+        });
+        const { fairness, levelUp } = awards[0];
+        const participantIds = awards.map((award) => award.userId);
+        const participantNames = awards.map((award) => award.name);
+        const xpAward = awards.reduce((sum, award) => sum + award.xpAwarded, 0);
+        const coinsAwarded = awards.reduce((sum, award) => sum + award.coinsAwarded, 0);
+        // My own level-ups are picked up from my user doc instead.
+        const othersLevelUp = awards.find(
+          (award) => award.levelUp && award.userId !== currentUser.uid
+        );
+        celebration = othersLevelUp ? { name: othersLevelUp.name, ...othersLevelUp.levelUp } : null;
+
+        // Every completion while a boss is up hits it for the XP awarded.
+        let bossDamage = null;
+        if (bossSnap?.exists()) {
+          const boss = normalizeBoss({ id: bossSnap.id, ...bossSnap.data() });
+          const now = new Date();
+          if (getBossStatus(boss, now) === 'active' && xpAward > 0) {
+            const byUser = Object.fromEntries(
+              awards
+                .filter((award) => award.xpAwarded > 0)
+                .map((award) => [award.userId, award.xpAwarded])
+            );
+            transaction.update(bossRef, applyBossHits(boss, byUser, now));
+            bossDamage = { bossId: boss.id, damage: xpAward, byUser };
+          }
+        }
+
+        transaction.set(historyRef, {
+          questId: quest.id,
+          questTitle: freshQuest.title,
+          occurrenceId,
+          completedById: completionUserId,
+          completedByName,
+          participantIds,
+          participantNames,
+          recordedById: currentUser.uid,
+          completedAt: serverTimestamp(),
+          occurrenceDueAt: toTimestamp(freshQuest.nextDueAt),
+          xpAwarded: xpAward,
+          overdueBonusXp,
+          difficulty: freshQuest.difficulty,
+          // Kept so the Fairness Meter can say which rule shaped this award.
+          fairness: {
+            rule: fairness.rule,
+            multiplier: fairness.multiplier,
+            gap: fairness.gap ?? null,
+            threshold: fairness.threshold ?? null,
+            explanation: fairness.explanation,
+          },
+          coinsAwarded,
+          levelUp,
+          xpSplit:
+            awards.length > 1
+              ? awards.map((award) => ({
+                  userId: award.userId,
+                  name: award.name,
+                  xpAwarded: award.xpAwarded,
+                  coinsAwarded: award.coinsAwarded,
+                  levelUp: award.levelUp,
+                }))
+              : null,
+          // Unticked steps were done by whoever completed the quest.
+          checklist: freshQuest.checklist.length
+            ? getChecklistSteps(freshQuest.checklist, freshQuest.checklistProgress).map(
+                (step) => ({
+                  stepId: step.id,
+                  label: step.label,
+                  doneById: step.doneById || completionUserId,
+                  doneByName: step.doneByName || completedByName,
+                })
+              )
+            : null,
+          bossDamage,
+          ...getCompletionClaims(freshQuest),
+          assigneeId: freshQuest.assigneeId || null,
+          focusDurationSeconds,
+          notes: notes || null,
+          // Everything a correction needs to put the quest back the way it was.
+          previousQuestState: {
+            nextDueAt: toTimestamp(freshQuest.nextDueAt),
+            isActive: freshQuest.isActive,
+            reservedById: freshQuest.reservedById || null,
+            reservedByName: freshQuest.reservedByName || null,
+            reservedAt: toTimestamp(freshQuest.reservedAt),
+            lapsedReservedById: freshQuest.lapsedReservedById || null,
+            lapsedReservedByName: freshQuest.lapsedReservedByName || null,
+            lapsedReservedAt: toTimestamp(coerceDate(freshQuest.lapsedReservedAt)),
+            lastCompletedAt: toTimestamp(freshQuest.lastCompletedAt),
+            lastCompletedById: freshQuest.lastCompletedById || null,
+            lastCompletedByName: freshQuest.lastCompletedByName || null,
+            lastCompletedByIds: freshQuest.lastCompletedByIds,
+            lastFocusDurationSeconds: freshQuest.lastFocusDurationSeconds ?? null,
+            lastCompletionId: freshQuest.lastCompletionId || null,
+            assignment: freshQuest.assignment,
+            checklistProgress: freshQuest.checklistProgress,
+            ...(autoXp !== null ? { xpOverride: freshQuest.xpOverride } : {}),
+          },
+          voided: false,
+        });
+
+        const updateData = {
+          reservedById: null,
+          reservedByName: null,
+          reservedAt: null,
+          lapsedReservedById: null,
+          lapsedReservedByName: null,
+          lapsedReservedAt: null,
+          lastCompletedAt: serverTimestamp(),
+          lastFocusDurationSeconds: focusDurationSeconds,
+          lastCompletedById: completionUserId,
+          lastCompletedByName: participantNames.join(' & '),
+          lastCompletedByIds: participantIds,
+          lastCompletionId: historyRef.id,
+          // Rotations move on to the next member; swaps only ever cover one occurrence.
+          assignment: advanceAssignment(freshQuest.assignment),
+          // The next occurrence starts with a fresh checklist.
+          checklistProgress: {},
+        };
+
+        if (freshQuest.recurrence.freq === 'once') {
+          // One-time quest: set isActive = false
+          updateData.isActive = false;
+        } else {
+          // Recurring quest: the rule decides when it comes round again
+          updateData.nextDueAt = toTimestamp(getNextDueAt(freshQuest.recurrence, new Date()));
+        }
+        if (autoXp !== null) {
+          updateData.xpOverride = autoXp;
+        }
+
+        transaction.update(questRef, updateData);
+        if (completesMySession) {
+          transaction.delete(focusSessionRef());
+        }
       });
-      
-      // Update quest based on frequency type
-      const frequencyType = quest.frequencyType || quest.frequency || 'once';
-      const frequencyInterval = quest.frequencyInterval ?? 1;
-      const now = new Date();
-      
-      const updateData = {
-        reservedById: null,
-        reservedByName: null,
-        lastCompletedAt: serverTimestamp(),
-        lastFocusDurationSeconds: focusDurationSeconds,
-        lastCompletedById: completionUserId,
-        lastCompletedByName: completedByName,
-      };
-      
-      if (frequencyType === 'once') {
-        // One-time quest: set isActive = false
-        updateData.isActive = false;
-      } else {
-        // Recurring quest: calculate nextDueAt
-        const nextDueAt = calculateNextDueAt(frequencyType, frequencyInterval, now);
-        updateData.nextDueAt = Timestamp.fromDate(nextDueAt);
+      closeCompletionModal();
+      setNotes('');
+      if (celebration) {
+        setLevelUpCelebration(celebration);
       }
-      
-      await updateDoc(questRef, updateData);
     } catch (error) {
       console.error('Completion error', error);
+      setCompletionError(error.message || 'Unable to complete this quest.');
     } finally {
-      setCompletionModal({ open: false, choreId: null });
-      setCompletionUserId('');
-      setNotes('');
-      resetTimer();
+      setCompleting(false);
     }
   };
 
+  const voidCompletion = async (entry, reason = '') => {
+    const historyRef = doc(db, ...historyCollectionPath, entry.id);
+    const questRef = doc(db, ...choreCollectionPath, entry.questId);
+    // Split completions are taken back from every player who got a share.
+    const shares = entry.xpSplit || [
+      {
+        userId: entry.completedById,
+        xpAwarded: entry.xpAwarded,
+        coinsAwarded: entry.coinsAwarded,
+      },
+    ];
+    const userRefs = shares.map((share) => doc(db, ...userCollectionPath, share.userId));
+    const bossRef = entry.bossDamage
+      ? doc(db, ...bossCollectionPath, entry.bossDamage.bossId)
+      : null;
+    setVoidingEntryId(entry.id);
+    setHistoryError('');
+    try {
+      await runTransaction(db, async (transaction) => {
+        const [historySnap, questSnap, bossSnap, ...userSnaps] = await Promise.all([
+          transaction.get(historyRef),
+          transaction.get(questRef),
+          bossRef ? transaction.get(bossRef) : Promise.resolve(null),
+          ...userRefs.map((userRef) => transaction.get(userRef)),
+        ]);
+        if (!historySnap.exists() || historySnap.data().voided) {
+          throw new Error('This completion has already been voided.');
+        }
+        const freshEntry = { id: historySnap.id, ...historySnap.data() };
+        userSnaps.forEach((userSnap, index) => {
+          if (!userSnap.exists()) return;
+          transaction.update(
+            userRefs[index],
+            reverseCompletionProgress(userSnap.data(), {
+              completedAt: freshEntry.completedAt,
+              xpAwarded: shares[index].xpAwarded,
+              coinsAwarded: shares[index].coinsAwarded,
+            })
+          );
+        });
+        // A fight still in progress gets the damage back; a beaten boss stays beaten.
+        if (bossSnap?.exists()) {
+          const boss = normalizeBoss({ id: bossSnap.id, ...bossSnap.data() });
+          if (getBossStatus(boss) !== 'defeated') {
+            transaction.update(
+              bossRef,
+              revertBossHits(
+                boss,
+                freshEntry.bossDamage.byUser || {
+                  [freshEntry.completedById]: freshEntry.bossDamage.damage,
+                }
+              )
+            );
+          }
+        }
+        // Only rewind the quest if nobody has completed it again since.
+        if (
+          questSnap.exists() &&
+          questSnap.data().lastCompletionId === freshEntry.id &&
+          freshEntry.previousQuestState
+        ) {
+          transaction.update(questRef, freshEntry.previousQuestState);
+        }
+        transaction.update(historyRef, {
+          voided: true,
+          voidedAt: serverTimestamp(),
+          voidedById: currentUser.uid,
+          voidedByName: player.display_name || 'Hero',
+          voidReason: reason || null,
+        });
+      });
+    } catch (error) {
+      console.error('Error voiding completion', error);
+      setHistoryError(error.message || 'Unable to void this completion.');
+    } finally {
+      setVoidingEntryId(null);
+    }
+  };
+
+  const handleConfirmCorrection = async () => {
+    if (!correctionModal.entry) return;
+    await voidCompletion(correctionModal.entry, correctionReason.trim());
+    setCorrectionModal({ open: false, entry: null });
+    setCorrectionReason('');
+  };
+
   const handleAvatarSave = async (nextUrl) => {
     if (!nextUrl) return;
     setSavingProfile(true);
@@ -921,6 +2339,142 @@ const QuestManager = ({ appId = 'default-app' }) => {
     }
   };
 
+  const handleAddShopReward = async () => {
+    const title = rewardForm.title.trim();
+    const cost = Math.floor(Number(rewardForm.cost));
+    if (!title || !(cost > 0)) return;
+    setSavingShopReward(true);
+    try {
+      await addDoc(collection(db, ...rewardCollectionPath), {
+        title,
+        cost,
+        isActive: true,
+        createdById: currentUser.uid,
+        createdByName: currentUserDoc?.display_name || currentUser.displayName || 'Hero',
+        createdAt: serverTimestamp(),
+      });
+      setRewardForm({ title: '', cost: 50 });
+    } catch (error) {
+      console.error('Error adding reward', error);
+    } finally {
+      setSavingShopReward(false);
+    }
+  };
+
+  const handleRemoveShopReward = async (reward) => {
+    try {
+      await updateDoc(doc(db, ...rewardCollectionPath, reward.id), { isActive: false });
+    } catch (error) {
+      console.error('Error removing reward', error);
+    }
+  };
+
+  const handleRedeemReward = async (reward) => {
+    setRedeemingRewardId(reward.id);
+    setShopMessage(null);
+    const userRef = doc(db, ...userCollectionPath, currentUser.uid);
+    const ledgerRef = doc(collection(db, ...redemptionCollectionPath));
+    try {
+      // The balance check and the debit happen in one transaction so two quick
+      // redemptions can't spend the same coins twice.
+      await runTransaction(db, async (transaction) => {
+        const userSnap = await transaction.get(userRef);
+        const balance = userSnap.exists() ? userSnap.data().star_coins || 0 : 0;
+        if (balance < reward.cost) {
+          throw new Error(`You need ${reward.cost - balance} more star coins for this reward.`);
+        }
+        transaction.update(userRef, { star_coins: balance - reward.cost });
+        transaction.set(ledgerRef, {
+          rewardId: reward.id,
+          rewardTitle: reward.title,
+          cost: reward.cost,
+          redeemedById: currentUser.uid,
+          redeemedByName: userSnap.data().display_name || 'Hero',
+          redeemedAt: serverTimestamp(),
+          balanceAfter: balance - reward.cost,
+        });
+      });
+      setShopMessage({ type: 'success', message: `Redeemed ${reward.title}!` });
+    } catch (error) {
+      console.error('Error redeeming reward', error);
+      setShopMessage({ type: 'error', message: error.message || 'Unable to redeem reward.' });
+    } finally {
+      setRedeemingRewardId(null);
+    }
+  };
+
+  const handleSummonBoss = async () => {
+    const name = bossForm.name.trim();
+    const maxHp = Number(bossForm.maxHp);
+    const days = Number(bossForm.days);
+    if (!name || !(maxHp > 0) || !(days > 0)) {
+      setBossError('Give the boss a name, some HP and a number of days.');
+      return;
+    }
+    if (activeBoss || upcomingBoss) {
+      setBossError('Finish the current boss battle first.');
+      return;
+    }
+    setBossError('');
+    const now = new Date();
+    try {
+      await addDoc(collection(db, ...bossCollectionPath), {
+        name,
+        maxHp: Math.round(maxHp),
+        damage: 0,
+        contributions: {},
+        rewardTitle: bossForm.rewardTitle.trim() || null,
+        startsAt: toTimestamp(now),
+        endsAt: toTimestamp(new Date(now.getTime() + days * 24 * 60 * 60 * 1000)),
+        defeatedAt: null,
+        createdById: currentUser.uid,
+        createdAt: serverTimestamp(),
+      });
+      setBossForm({ name: '', maxHp: DEFAULT_BOSS_HP, days: DEFAULT_BOSS_DAYS, rewardTitle: '' });
+    } catch (error) {
+      console.error('Error summoning boss', error);
+      setBossError('Unable to summon the boss.');
+    }
+  };
+
+  const handleBuyStreakFreeze = async () => {
+    setBuyingFreeze(true);
+    setShopMessage(null);
+    const userRef = doc(db, ...userCollectionPath, currentUser.uid);
+    const ledgerRef = doc(collection(db, ...redemptionCollectionPath));
+    try {
+      await runTransaction(db, async (transaction) => {
+        const userSnap = await transaction.get(userRef);
+        const user = userSnap.exists() ? userSnap.data() : {};
+        const balance = user.star_coins || 0;
+        if (balance < STREAK_FREEZE_COST) {
+          throw new Error(
+            `You need ${STREAK_FREEZE_COST - balance} more star coins for a streak freeze.`
+          );
+        }
+        transaction.update(userRef, {
+          star_coins: balance - STREAK_FREEZE_COST,
+          streak_freezes: (user.streak_freezes || 0) + 1,
+        });
+        transaction.set(ledgerRef, {
+          rewardId: 'streak-freeze',
+          rewardTitle: 'Streak freeze',
+          cost: STREAK_FREEZE_COST,
+          redeemedById: currentUser.uid,
+          redeemedByName: user.display_name || 'Hero',
+          redeemedAt: serverTimestamp(),
+          balanceAfter: balance - STREAK_FREEZE_COST,
+        });
+      });
+      setShopMessage({ type: 'success', message: 'Streak freeze added to your inventory!' });
+    } catch (error) {
+      console.error('Error buying streak freeze', error);
+      setShopMessage({ type: 'error', message: error.message || 'Unable to buy a streak freeze.' });
+    } finally {
+      setBuyingFreeze(false);
+    }
+  };
+
   const normalizeSpotifyUrl = (url) => {
     if (!url) return DEFAULT_SPOTIFY_EMBED;
     if (url.includes('/embed/')) return url;
@@ -962,6 +2516,202 @@ const QuestManager = ({ appId = 'default-app' }) => {
     persistSpotifyUrl(embed);
   };
 
+  const handleRegenerateFriendCode = async () => {
+    setFriendCodeBusy(true);
+    setFriendCodeError('');
+    try {
+      const previousCode = currentUserDoc?.friend_code || null;
+      const userRef = doc(db, ...userCollectionPath, currentUser.uid);
+      await runTransaction(db, async (transaction) => {
+        let codeRef = null;
+        let code = null;
+        for (let attempt = 0; attempt < 5 && !code; attempt += 1) {
+          const candidate = generateFriendCode();
+          const candidateRef = doc(db, ...getFriendCodesPath(appId), candidate);
+          const candidateSnap = await transaction.get(candidateRef);
+          if (!candidateSnap.exists()) {
+            code = candidate;
+            codeRef = candidateRef;
+          }
+        }
+        if (!code) {
+          throw new Error('Could not generate a unique friend code. Try again.');
+        }
+        if (previousCode) {
+          transaction.delete(doc(db, ...getFriendCodesPath(appId), previousCode));
+        }
+        transaction.set(codeRef, {
+          ownerId: currentUser.uid,
+          ownerName: player.display_name || 'Hero',
+          householdId,
+          householdName: activeHousehold?.name || '',
+          createdAt: serverTimestamp(),
+        });
+        transaction.set(userRef, { friend_code: code }, { merge: true });
+      });
+    } catch (error) {
+      console.error('Error generating friend code', error);
+      setFriendCodeError(error.message || 'Unable to generate a friend code.');
+    } finally {
+      setFriendCodeBusy(false);
+    }
+  };
+
+  const handleRevokeFriendCode = async () => {
+    const code = currentUserDoc?.friend_code;
+    if (!code) return;
+    setFriendCodeBusy(true);
+    setFriendCodeError('');
+    try {
+      const batch = writeBatch(db);
+      batch.delete(doc(db, ...getFriendCodesPath(appId), code));
+      batch.set(
+        doc(db, ...userCollectionPath, currentUser.uid),
+        { friend_code: null },
+        { merge: true }
+      );
+      await batch.commit();
+    } catch (error) {
+      console.error('Error revoking friend code', error);
+      setFriendCodeError('Unable to revoke the friend code.');
+    } finally {
+      setFriendCodeBusy(false);
+    }
+  };
+
+  // Someone rejoining keeps the XP and coins already on their member doc; a
+  // fresh one is only written for players this household hasn't seen before.
+  // Another admin may have answered first, so the request is re-read here.
+  const handleJoinRequestDecision = async (request, approve) => {
+    const requestRef = doc(db, ...joinRequestCollectionPath, request.id);
+    const memberRef = doc(db, ...userCollectionPath, request.requesterId);
+    setJoinRequestError('');
+    try {
+      await runTransaction(db, async (transaction) => {
+        const requestSnap = await transaction.get(requestRef);
+        if (requestSnap.data()?.status !== 'pending') {
+          throw new Error(
+            `The request from ${request.requesterName || 'this player'} was already resolved.`
+          );
+        }
+        const memberSnap = approve ? await transaction.get(memberRef) : null;
+        if (approve) {
+          transaction.update(doc(db, ...getHouseholdsPath(appId), householdId), {
+            memberIds: arrayUnion(request.requesterId),
+          });
+          if (!memberSnap.exists()) {
+            transaction.set(
+              memberRef,
+              buildMemberDoc({ uid: request.requesterId, displayName: request.requesterName })
+            );
+          }
+        }
+        transaction.update(requestRef, {
+          status: approve ? 'approved' : 'rejected',
+          resolvedById: currentUser.uid,
+          resolvedAt: serverTimestamp(),
+        });
+      });
+    } catch (error) {
+      console.error('Error resolving join request', error);
+      setJoinRequestError(
+        error.message ||
+          `Unable to ${approve ? 'approve' : 'reject'} ${
+            request.requesterName || 'this request'
+          }. Please try again.`
+      );
+    }
+  };
+
+  const handleJoinHousehold = async () => {
+    setJoinStatus(null);
+    try {
+      const invite = await requestToJoinHousehold(joinCodeInput);
+      setJoinCodeInput('');
+      setJoinStatus({
+        type: 'success',
+        message: `Request sent to ${invite.ownerName || 'the code owner'} for ${
+          invite.householdName || 'their household'
+        }.`,
+      });
+    } catch (error) {
+      console.error('Error requesting to join household', error);
+      setJoinStatus({ type: 'error', message: error.message || 'Unable to send join request.' });
+    }
+  };
+
+  const handleHouseholdSettingsSave = async () => {
+    if (!isAdmin) return;
+    setSavingHouseholdSettings(true);
+    setHouseholdSettingsError('');
+    try {
+      const form = householdSettingsForm;
+      const expiryHours = Number(form.reservationExpiryHours) || DEFAULT_RESERVATION_EXPIRY_HOURS;
+      await updateDoc(doc(db, ...getHouseholdsPath(appId), householdId), {
+        reservationExpiryHours: Math.max(1, expiryHours),
+        overdueBonusPercentPerDay: Math.max(0, Number(form.overdueBonusPercentPerDay) || 0),
+        overdueBonusCapPercent: Math.max(0, Number(form.overdueBonusCapPercent) || 0),
+        overduePenaltyXp: Math.max(0, Number(form.overduePenaltyXp) || 0),
+        xpPerFocusMinute: Math.max(1, Number(form.xpPerFocusMinute) || DEFAULT_XP_PER_FOCUS_MINUTE),
+        streakMaxOverdueDays: Math.max(0, Number(form.streakMaxOverdueDays) || 0),
+        difficultyTiers: normalizeDifficultyTiers(form.difficultyTiers),
+        fairnessPolicy: normalizeFairnessPolicy(form.fairnessPolicy),
+      });
+    } catch (error) {
+      console.error('Error saving household settings', error);
+      setHouseholdSettingsError('Unable to save household settings. Please try again.');
+    } finally {
+      setSavingHouseholdSettings(false);
+    }
+  };
+
+  const updateFairnessPolicyField = (field, value) =>
+    setHouseholdSettingsForm((prev) => ({
+      ...prev,
+      fairnessPolicy: { ...prev.fairnessPolicy, [field]: value },
+    }));
+
+  const updateTierField = (tierId, field, value) =>
+    setHouseholdSettingsForm((prev) => ({
+      ...prev,
+      difficultyTiers: prev.difficultyTiers.map((tier) =>
+        tier.id === tierId ? { ...tier, [field]: value } : tier
+      ),
+    }));
+
+  const removeTier = (tierId) =>
+    setHouseholdSettingsForm((prev) => ({
+      ...prev,
+      difficultyTiers: prev.difficultyTiers.filter((tier) => tier.id !== tierId),
+    }));
+
+  const addTier = () => {
+    const label = newTierForm.label.trim();
+    if (!label) return;
+    setHouseholdSettingsForm((prev) => ({
+      ...prev,
+      difficultyTiers: [
+        ...prev.difficultyTiers,
+        { id: createTierId(label, prev.difficultyTiers), label, xp: Number(newTierForm.xp) || 0 },
+      ],
+    }));
+    setNewTierForm({ label: '', xp: 100 });
+  };
+
+  const handleCreateHousehold = async () => {
+    if (!householdName.trim()) return;
+    setCreatingHousehold(true);
+    try {
+      await createHousehold(householdName);
+      setHouseholdName('');
+      setHouseholdModal(false);
+    } catch (error) {
+      console.error('Error creating household', error);
+    } finally {
+      setCreatingHousehold(false);
+    }
+  };
+
   const handleSignOut = async () => {
     try {
       setSigningOut(true);
@@ -1000,7 +2750,7 @@ const QuestManager = ({ appId = 'default-app' }) => {
     totalXp: player.total_xp || 0,
     weeklyXp: player.weekly_xp || 0,
     starCoins: player.star_coins || 0,
-    friendCodeShort: generateFriendCode(player.friend_code || player.id),
+    friendCodeShort: player.friend_code ? formatFriendCode(player.friend_code) : '',
   };
 
   // Profile page is now rendered inline with the main layout, not as a separate component
@@ -1057,7 +2807,139 @@ const QuestManager = ({ appId = 'default-app' }) => {
     );
   };
 
+  const visibleJoinRequests = joinRequests.filter(
+    (request) => isAdmin || request.codeOwnerId === currentUser.uid
+  );
+
+  const completionQuest = chores.find((q) => q.id === completionModal.choreId);
+  // What each participant gets before the fairness rules, with their share of
+  // the split as a true percentage.
+  const completionParticipants = getCompletionParticipants();
+  const completionTotalWeight = completionParticipants.reduce((sum, p) => sum + p.weight, 0);
+  const completionWeightsInvalid =
+    !completionQuest?.checklist.length && hasInvalidWeights(completionParticipants);
+  const completionPreview =
+    !completionQuest || completionQuest.checklist.length
+      ? []
+      : splitXpByShares(
+          (completionQuest.xp || 0) + getQuestOverdue(completionQuest).bonusXp,
+          completionParticipants
+        ).map((share, index) => ({
+          ...share,
+          percent: completionTotalWeight
+            ? Math.round((completionParticipants[index].weight / completionTotalWeight) * 1000) / 10
+            : 0,
+        }));
   const focusChore = myReservedDueQuests.find((c) => c.id === selectedReservedChoreId);
+  const focusSessionForChore =
+    focusChore && myFocusSession?.questId === focusChore.id ? myFocusSession : null;
+  const focusRunning = focusSessionForChore?.status === 'running';
+
+  const renderBossBattle = () => {
+    if (!activeBoss) {
+      return (
+        <div className="bg-[#0b0717] border-[3px] border-[#E10086] p-4 shadow-[0_4px_0_#000] space-y-3">
+          <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Boss battle</p>
+          <p className="text-[#90DCFF] text-[10px]">
+            No boss is terrorising the household. Summon one to fight together: every quest
+            completed hits it for the XP it awards.
+          </p>
+          {isAdmin && (
+            <div className="grid gap-2 sm:grid-cols-4">
+              <input
+                placeholder="The Garage Kraken"
+                value={bossForm.name}
+                onChange={(e) => setBossForm((prev) => ({ ...prev, name: e.target.value }))}
+                className="bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs sm:col-span-2"
+              />
+              <input
+                type="number"
+                min={1}
+                value={bossForm.maxHp}
+                onChange={(e) => setBossForm((prev) => ({ ...prev, maxHp: e.target.value }))}
+                className="bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                title="Hit points"
+              />
+              <input
+                type="number"
+                min={1}
+                value={bossForm.days}
+                onChange={(e) => setBossForm((prev) => ({ ...prev, days: e.target.value }))}
+                className="bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                title="Days to defeat it"
+              />
+              <input
+                placeholder="Shared reward (e.g., Pizza night)"
+                value={bossForm.rewardTitle}
+                onChange={(e) => setBossForm((prev) => ({ ...prev, rewardTitle: e.target.value }))}
+                className="bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs sm:col-span-3"
+              />
+              <button onClick={handleSummonBoss} className={neonButton('primary')}>
+                Summon
+              </button>
+            </div>
+          )}
+          {bossError && <p className="text-[#E10086] text-xs">{bossError}</p>}
+        </div>
+      );
+    }
+    const remainingHp = Math.max(0, activeBoss.maxHp - activeBoss.damage);
+    const msLeft = activeBoss.endsAt ? activeBoss.endsAt.getTime() - clock.getTime() : 0;
+    return (
+      <div className="bg-[#0b0717] border-[3px] border-[#E10086] p-4 shadow-[0_4px_0_#000] space-y-3">
+        <div className="flex flex-wrap items-baseline justify-between gap-2">
+          <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">
+            Boss battle · {activeBoss.name}
+          </p>
+          <p className="text-[#90DCFF] text-[10px]">
+            {Math.max(0, Math.ceil(msLeft / (60 * 60 * 1000)))}h left
+            {activeBoss.rewardTitle ? ` · Reward: ${activeBoss.rewardTitle}` : ''}
+          </p>
+        </div>
+        <div className="w-full bg-[#1c1133] border-2 border-black h-5 rounded">
+          <div
+            className="h-full bg-gradient-to-r from-[#E10086] to-[#FF8A3D]"
+            style={{ width: `${(remainingHp / activeBoss.maxHp) * 100}%` }}
+          />
+        </div>
+        <p className="text-[#FDFB76] text-[10px]">
+          {remainingHp.toLocaleString()} / {activeBoss.maxHp.toLocaleString()} HP
+        </p>
+        <ul className="space-y-1 text-[10px] text-[#90DCFF]">
+          {getBossContributions(activeBoss, users).map((member) => (
+            <li key={member.id} className="flex justify-between">
+              <span>{member.name}</span>
+              <span>
+                {member.damage.toLocaleString()} dmg · {member.share}%
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  const renderLevelBar = (totalXp) => {
+    const progress = getLevelProgress(totalXp);
+    return (
+      <div className="bg-[#0b0717] border-[3px] border-[#FDFB76] p-4 shadow-[0_4px_0_#000]">
+        <div className="flex flex-wrap items-baseline justify-between gap-2">
+          <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">
+            Level {progress.level} · {progress.title}
+          </p>
+          <p className="text-[#90DCFF] text-[10px]">
+            {progress.xpToNextLevel.toLocaleString()} XP to level {progress.level + 1}
+          </p>
+        </div>
+        <div className="w-full bg-[#1c1133] border-2 border-black h-4 rounded mt-3">
+          <div
+            className="h-full bg-gradient-to-r from-[#00DB96] via-[#FDFB76] to-[#E10086]"
+            style={{ width: `${progress.percent}%` }}
+          />
+        </div>
+      </div>
+    );
+  };
 
   const renderDashboard = () => (
     <section className={panelClass}>
@@ -1065,6 +2947,7 @@ const QuestManager = ({ appId = 'default-app' }) => {
         <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">Quest Dashboard</p>
         <p className="text-[#90DCFF] text-[10px] mt-1">Household status overview</p>
       </div>
+      {renderLevelBar(player.total_xp || 0)}
       <div className="grid gap-4 md:grid-cols-3">
         <div className={statCardClass}>
           <div className="h-2 mb-3 rounded-full bg-gradient-to-r from-[#00DB96] via-[#90DCFF] to-[#FDFB76]" />
@@ -1089,26 +2972,129 @@ const QuestManager = ({ appId = 'default-app' }) => {
           <p className="text-gray-300 text-[9px] mt-1">Reward Hall currency</p>
         </div>
       </div>
+      <div className="grid gap-4 md:grid-cols-3">
+        <div className={statCardClass}>
+          <p className="text-[#90DCFF] text-[10px] tracking-[0.2em]">DAILY STREAK</p>
+          <p className="text-[#FDFB76] text-2xl mt-2">{myStreaks.daily.current} days</p>
+          <p className="text-gray-300 text-[9px] mt-1">
+            Best {myStreaks.daily.best} · {myFreezeTokens} freeze
+            {myFreezeTokens === 1 ? '' : 's'} left
+          </p>
+        </div>
+        <div className={statCardClass}>
+          <p className="text-[#90DCFF] text-[10px] tracking-[0.2em]">WEEKLY STREAK</p>
+          <p className="text-[#FDFB76] text-2xl mt-2">{myStreaks.weekly.current} weeks</p>
+          <p className="text-gray-300 text-[9px] mt-1">Best {myStreaks.weekly.best}</p>
+        </div>
+        <div className={statCardClass}>
+          <p className="text-[#90DCFF] text-[10px] tracking-[0.2em]">HOUSEHOLD STREAK</p>
+          <p className="text-[#FDFB76] text-2xl mt-2">{householdStreak.current} days</p>
+          <p className="text-gray-300 text-[9px] mt-1">
+            No quest over {streakMaxOverdueDays}d overdue · best {householdStreak.best}
+          </p>
+        </div>
+      </div>
+      {renderBossBattle()}
+      {activeFocusSessions.length > 0 && (
+        <div className="bg-[#0b0717] border-[3px] border-[#5176fd] p-4 shadow-[0_4px_0_#000] space-y-2">
+          <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Active focus sessions</p>
+          <ul className="space-y-2 text-sm">
+            {activeFocusSessions.map((session) => {
+              const sessionUser = users.find((u) => u.id === session.id);
+              const isMine = session.id === currentUser.uid;
+              return (
+                <li
+                  key={session.id}
+                  className="flex flex-wrap items-center justify-between gap-2 bg-[#1a1030] border-2 border-black px-3 py-2"
+                >
+                  <span className="text-[#FDFB76]">
+                    {isMine ? 'You' : sessionUser?.display_name || session.id} ·{' '}
+                    {session.questTitle || 'Quest'}
+                  </span>
+                  <span className="flex items-center gap-2 text-[#90DCFF]">
+                    {formatMs(getFocusElapsedMs(session, timerNow))}
+                    {session.status === 'paused' ? ' (paused)' : ''}
+                    {isMine && (
+                      <button
+                        onClick={() => {
+                          setSelectedReservedChoreId(session.questId);
+                          setActivePage(PAGES.FOCUS_MODE);
+                        }}
+                        className="border-[3px] border-black bg-[#5176fd] text-white px-3 py-1 text-[10px] shadow-[2px_2px_0_#000]"
+                      >
+                        Resume
+                      </button>
+                    )}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+      <div className="bg-[#0b0717] border-[3px] border-[#E10086] p-4 shadow-[0_4px_0_#000]">
+        <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Neglect meter</p>
+        <p className="text-[#90DCFF] text-[10px] mt-2">
+          {neglectMeter}% · {overdueQuestCount} quest{overdueQuestCount === 1 ? '' : 's'} a day or
+          more overdue
+        </p>
+        <div className="w-full bg-[#1c1133] border-2 border-black h-4 rounded mt-3">
+          <div
+            className="h-full bg-gradient-to-r from-[#FDFB76] via-[#FF8A3D] to-[#E10086]"
+            style={{ width: `${neglectMeter}%` }}
+          />
+        </div>
+        {penalties.length > 0 && (
+          <ul className="mt-3 space-y-1 text-[10px] text-[#90DCFF]">
+            {penalties.slice(0, 5).map((penalty) => (
+              <li key={penalty.id}>
+                -{penalty.xp} XP · {penalty.userName || penalty.userId} · {penalty.questTitle}
+                {penalty.createdAt ? ` · ${formatTimeAgo(penalty.createdAt, clock)}` : ''}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
       <div className="grid gap-4 lg:grid-cols-2">
         <div className="bg-[#0b0717] border-[3px] border-[#00DB96] p-4 shadow-[0_4px_0_#000]">
           <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Fairness meter</p>
           <p className="text-[#90DCFF] text-[10px] mt-2">
-            Gap: {weeklyStats.highest - (weeklyStats.lowest?.weekly_xp || 0)} XP /{' '}
-            {player.fairness_threshold || 1000}
+            Gap: {fairnessGap} {fairnessUnit} / {fairnessThreshold} (
+            {FAIRNESS_THRESHOLD_OPTIONS.find(
+              (option) => option.value === fairnessPolicy.thresholdMode
+            )?.label.toLowerCase()}
+            )
           </p>
           <div className="w-full bg-[#1c1133] border-2 border-black h-4 rounded mt-3">
             <div
               className="h-full bg-gradient-to-r from-[#00DB96] via-[#90DCFF] to-[#E10086]"
               style={{
-                width: `${Math.min(
-                  100,
-                  ((weeklyStats.highest - (weeklyStats.lowest?.weekly_xp || 0)) /
-                    (player.fairness_threshold || 1)) *
-                    100
-                ).toFixed(1)}%`,
+                width: `${Math.min(100, (fairnessGap / (fairnessThreshold || 1)) * 100).toFixed(
+                  1
+                )}%`,
               }}
             />
           </div>
+          <p className="text-[#90DCFF] text-[10px] mt-3">
+            Measured by{' '}
+            {FAIRNESS_METRIC_OPTIONS.find(
+              (option) => option.value === fairnessPolicy.metric
+            )?.label.toLowerCase()}{' '}
+            · boost {fairnessPolicy.boostMultiplier}x
+            {fairnessPolicy.scaleWithGap
+              ? `, scaling with the gap up to ${fairnessPolicy.maxBoostMultiplier}x`
+              : ''}
+            {fairnessPolicy.leaderReductionPercent > 0
+              ? ` · leader -${fairnessPolicy.leaderReductionPercent}%`
+              : ''}
+          </p>
+          {lastFairnessAward && (
+            <p className="text-[#FDFB76] text-[10px] mt-2">
+              Last award: {lastFairnessAward.completedByName} ·{' '}
+              {lastFairnessAward.questTitle || lastFairnessAward.quest_title} ·{' '}
+              {lastFairnessAward.xpAwarded} XP. {lastFairnessAward.fairness.explanation}
+            </p>
+          )}
         </div>
         <div className="bg-[#0b0717] border-[3px] border-[#49297E] p-4 shadow-[0_4px_0_#000]">
           <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em] mb-3">
@@ -1124,7 +3110,10 @@ const QuestManager = ({ appId = 'default-app' }) => {
                   className="flex justify-between text-[#FDFB76] bg-[#1a1030] border-2 border-black px-3 py-2"
                 >
                   <span>
-                    #{idx + 1} {u.display_name || u.id}
+                    #{idx + 1} {u.display_name || u.id}{' '}
+                    <span className="text-[#00DB96] text-[10px]">
+                      Lv {getLevelForXp(u.total_xp || 0)}
+                    </span>
                   </span>
                   <span className="text-[#90DCFF]">{u.total_xp || 0} XP</span>
                 </li>
@@ -1135,106 +3124,469 @@ const QuestManager = ({ appId = 'default-app' }) => {
     </section>
   );
 
-  const renderQuestLog = () => {
-    const renderQuestCard = (quest, showActions = true) => {
-      const reservedByOther =
-        quest.reservedById && quest.reservedById !== currentUser?.uid;
-      return (
-        <div
-          key={quest.id}
-          className="bg-[#1a1030] border-2 border-black shadow-[0_4px_0_#000] p-4 space-y-2"
+  const renderCompletionActions = (entry) => {
+    if (entry.voided) return null;
+    const canUndo = canUndoCompletion(entry, currentUser.uid, clock);
+    if (!canUndo && !isAdmin) return null;
+    const busy = voidingEntryId === entry.id;
+    return (
+      <div className="flex gap-2 pt-1">
+        {canUndo && (
+          <button
+            onClick={() => voidCompletion(entry, 'Undone')}
+            disabled={busy}
+            className={`border-[3px] border-black bg-[#FDFB76] text-black px-3 py-1 text-[10px] shadow-[2px_2px_0_#000] ${
+              busy ? 'opacity-60' : ''
+            }`}
+          >
+            {busy ? 'Undoing...' : 'Undo'}
+          </button>
+        )}
+        {isAdmin && (
+          <button
+            onClick={() => {
+              setCorrectionReason('');
+              setCorrectionModal({ open: true, entry });
+            }}
+            disabled={busy}
+            className="border-[3px] border-black bg-[#E10086] text-white px-3 py-1 text-[10px] shadow-[2px_2px_0_#000]"
+          >
+            Void
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  const renderChecklist = (quest) => {
+    if (!quest.checklist.length) return null;
+    const { done, total, percent } = summarizeChecklistProgress(
+      quest.checklist,
+      quest.checklistProgress
+    );
+    const canTick = isQuestDue(quest, clock) && quest.isActive !== false;
+    return (
+      <div className="bg-[#1a1030] border-2 border-black shadow-[0_4px_0_#000] p-4 space-y-2">
+        <div className="flex justify-between text-xs">
+          <p className="text-[#FDFB76] uppercase tracking-[0.2em]">Checklist</p>
+          <p className="text-[#90DCFF]">
+            {done}/{total} steps
+          </p>
+        </div>
+        <div className="h-2 bg-black border border-[#49297E]">
+          <div className="h-full bg-[#00DB96]" style={{ width: `${percent}%` }} />
+        </div>
+        {getChecklistSteps(quest.checklist, quest.checklistProgress).map((step) => {
+          const lockedByOther = step.doneById && step.doneById !== currentUser.uid;
+          return (
+            <label key={step.id} className="flex items-center gap-2 text-xs text-[#90DCFF]">
+              <input
+                type="checkbox"
+                checked={Boolean(step.doneById)}
+                disabled={!canTick || lockedByOther}
+                onChange={() => toggleChecklistStep(quest, step)}
+              />
+              <span className={step.doneById ? 'line-through' : ''}>{step.label}</span>
+              {step.doneById && (
+                <span className="text-[#FDFB76] text-[10px]">· {step.doneByName}</span>
+              )}
+            </label>
+          );
+        })}
+        {!canTick && (
+          <p className="text-gray-300 text-[10px]">Steps open up when the quest is next due.</p>
+        )}
+        {checklistError && <p className="text-[#E10086] text-xs">{checklistError}</p>}
+      </div>
+    );
+  };
+
+  // Who did which steps, and how the XP was shared out between them.
+  const renderCompletionBreakdown = (entry) => (
+    <>
+      {entry.xpSplit?.length > 1 && (
+        <p className="text-[#90DCFF] text-xs">
+          XP split:{' '}
+          {entry.xpSplit.map((share) => `${share.name} ${share.xpAwarded} XP`).join(' · ')}
+        </p>
+      )}
+      {entry.checklist?.length > 0 && (
+        <ul className="text-[#90DCFF] text-[10px] space-y-1">
+          {entry.checklist.map((step) => (
+            <li key={step.stepId}>
+              ✓ {step.label} · {step.doneByName}
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+
+  const renderQuestCard = (quest, showActions = true) => {
+    const reservedByOther =
+      quest.reservedById && quest.reservedById !== currentUser?.uid;
+    const assignedToOther = quest.assigneeId && quest.assigneeId !== currentUser?.uid;
+    const claimBlocked = reservedByOther || assignedToOther;
+    const overdue = getQuestOverdue(quest);
+    const overdueStyle = OVERDUE_STYLES[overdue.severity.key];
+    const checklist = summarizeChecklistProgress(quest.checklist, quest.checklistProgress);
+    return (
+      <div
+        key={quest.id}
+        className={`bg-[#1a1030] border-2 ${overdueStyle.border} shadow-[0_4px_0_#000] p-4 space-y-2`}
+      >
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+          <div>
+            <button
+              onClick={() => openQuestDetail(quest.id)}
+              className="text-[#FDFB76] text-lg text-left hover:underline"
+            >
+              {quest.title}
+            </button>
+            <p className="text-[#90DCFF] text-xs">
+              Difficulty: {getTierLabel(quest.difficulty)} · XP: {quest.xp} ·{' '}
+              {describeRecurrence(quest.recurrence)}
+              {checklist.total > 0 && ` · ${checklist.done}/${checklist.total} steps`}
+            </p>
+            {overdue.severity.level > 0 && (
+              <p className={`${overdueStyle.text} text-[10px] uppercase tracking-[0.2em]`}>
+                {overdue.severity.label} · {formatLateness(overdue.overdueMs)}
+                {overdue.bonusXp > 0 ? ` · +${overdue.bonusXp} bonus XP` : ''}
+              </p>
+            )}
+            <p className="text-[#90DCFF] text-[10px] mt-1">
+              Created by: {quest.createdByName || quest.createdById || 'Unknown'}
+            </p>
+            {quest.assigneeId && (
+              <p className="text-[#FDFB76] text-[10px]">
+                Assigned to:{' '}
+                {quest.assigneeId === currentUser?.uid ? 'You' : getMemberName(quest.assigneeId)}
+                {quest.assignment.mode === 'rotation'
+                  ? ` · next up: ${getMemberName(getNextAssigneeId(quest.assignment))}`
+                  : ''}
+              </p>
+            )}
+            <p className="text-[#90DCFF] text-[10px]">
+              Reserved by: {quest.reservedByName || '—'}
+              {quest.reservedById && quest.reservedAt
+                ? ` · reserved ${formatTimeAgo(quest.reservedAt, clock)}`
+                : ''}
+            </p>
+            {quest.lastCompletedAt && (
+              <p className="text-[#90DCFF] text-[10px]">
+                Last completed by {quest.lastCompletedByName || '—'} on{' '}
+                {quest.lastCompletedAt.toLocaleString()}
+              </p>
+            )}
+          </div>
+          {showActions && (
+            <div className="flex gap-2 flex-wrap">
+              <button
+                onClick={() => toggleReservation(quest)}
+                disabled={claimBlocked}
+                className={`border-4 border-black px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000] ${
+                  quest.reservedById === currentUser?.uid
+                    ? 'bg-[#E10086] text-white'
+                    : 'bg-[#00DB96] text-black'
+                } ${claimBlocked ? 'opacity-50 cursor-not-allowed' : ''}`}
+              >
+                {quest.reservedById === currentUser?.uid ? 'Release' : 'Reserve'}
+              </button>
+              <button
+                onClick={() => openCompletion(quest.id)}
+                disabled={reservedByOther}
+                className={`border-4 border-black bg-[#FDFB76] text-black px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000] ${
+                  reservedByOther ? 'opacity-50 cursor-not-allowed' : ''
+                }`}
+              >
+                Complete
+              </button>
+              <button
+                onClick={() => handleFocusQuest(quest)}
+                disabled={claimBlocked}
+                className={`border-4 border-black bg-[#5176fd] text-white px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000] ${
+                  claimBlocked ? 'opacity-50 cursor-not-allowed' : ''
+                }`}
+              >
+                Focus
+              </button>
+              {quest.assigneeId === currentUser?.uid && (
+                <button
+                  onClick={() => openSwapModal(quest)}
+                  className="border-4 border-black bg-[#90DCFF] text-black px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000]"
+                >
+                  Swap
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderHistoryCard = (entry) => {
+    const completedDate = coerceDate(entry.completedAt || entry.completed_at);
+    return (
+      <div
+        key={entry.id}
+        className="bg-[#1a1030] border-2 border-black shadow-[0_4px_0_#000] p-4 space-y-2"
+      >
+        <p className="text-[#FDFB76] text-lg">{entry.questTitle || entry.quest_title}</p>
+        <p className="text-[#90DCFF] text-xs">
+          Completed by: {entry.completedByName || entry.completed_by_name || entry.completedById || '—'}
+        </p>
+        <p className="text-[#90DCFF] text-xs">XP Awarded: {entry.xpAwarded || entry.xp_awarded || 0}</p>
+        {renderCompletionBreakdown(entry)}
+        {entry.levelUp && (
+          <p className="text-[#00DB96] text-xs">
+            Level up! Reached level {entry.levelUp.to} · {entry.levelUp.title}
+          </p>
+        )}
+        {entry.reservedByName && (
+          <p className="text-[#90DCFF] text-xs">
+            Reserved by: {entry.reservedByName || entry.reserved_by_name || '—'}
+          </p>
+        )}
+        {completedDate && (
+          <p className="text-[#90DCFF] text-xs">
+            Date: {completedDate.toLocaleString()}
+          </p>
+        )}
+        {entry.focusDurationSeconds != null && (
+          <p className="text-[#90DCFF] text-xs">
+            Focus duration: {formatMs((entry.focusDurationSeconds || 0) * 1000)}
+          </p>
+        )}
+        {renderCompletionActions(entry)}
+      </div>
+    );
+  };
+
+  const renderQuestManageActions = (quest) => {
+    if (!canManageQuest(quest, activeHousehold, currentUser.uid)) return null;
+    const smallButton =
+      'border-2 border-black px-3 py-1 text-[10px] tracking-[0.2em] uppercase shadow-[2px_2px_0_#000]';
+    return (
+      <div className="flex gap-2 flex-wrap pt-2">
+        <button
+          onClick={() => openEditQuest(quest)}
+          className={`${smallButton} bg-[#FDFB76] text-black`}
         >
-          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
-            <div>
-              <p className="text-[#FDFB76] text-lg">{quest.title}</p>
+          Edit
+        </button>
+        {!quest.archivedAt && (
+          <button
+            onClick={() => togglePauseQuest(quest)}
+            className={`${smallButton} bg-[#5176fd] text-white`}
+          >
+            {quest.isPaused ? 'Resume' : 'Pause'}
+          </button>
+        )}
+        <button
+          onClick={() => toggleArchiveQuest(quest)}
+          className={`${smallButton} bg-[#90DCFF] text-black`}
+        >
+          {quest.archivedAt ? 'Restore' : 'Archive'}
+        </button>
+        <button
+          onClick={() => handleDeleteQuest(quest)}
+          className={`${smallButton} bg-[#E10086] text-white`}
+        >
+          Delete
+        </button>
+      </div>
+    );
+  };
+
+  const renderXpSuggestion = (quest, completions) => {
+    const suggestion = suggestQuestXp(completions, xpPerFocusMinute);
+    const canManage = canManageQuest(quest, activeHousehold, currentUser.uid);
+    const timedCount = completions.filter((entry) => entry.focusDurationSeconds > 0).length;
+    return (
+      <div className="bg-[#1a1030] border-2 border-black shadow-[0_4px_0_#000] p-4 space-y-2">
+        <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Effort</p>
+        {suggestion ? (
+          <p className="text-[#90DCFF] text-xs">
+            This takes ~{Math.round(suggestion.averageMinutes)} min on average, currently worth{' '}
+            {quest.xp} XP, suggested {suggestion.xp} XP.
+          </p>
+        ) : (
+          <p className="text-[#90DCFF] text-xs">
+            Complete it {MIN_TIMED_COMPLETIONS - timedCount} more time(s) from Focus Mode to get an
+            XP suggestion.
+          </p>
+        )}
+        {quest.autoXp && (
+          <p className="text-[#00DB96] text-[10px]">XP follows the suggestion after each run.</p>
+        )}
+        {canManage && (
+          <div className="flex gap-2 flex-wrap">
+            {suggestion && suggestion.xp !== quest.xp && (
+              <button
+                onClick={() => updateQuestDefinition(quest, { xpOverride: suggestion.xp })}
+                className="border-2 border-black px-3 py-1 text-[10px] tracking-[0.2em] uppercase shadow-[2px_2px_0_#000] bg-[#00DB96] text-black"
+              >
+                Apply {suggestion.xp} XP
+              </button>
+            )}
+            <button
+              onClick={() => updateQuestDefinition(quest, { autoXp: !quest.autoXp })}
+              className="border-2 border-black px-3 py-1 text-[10px] tracking-[0.2em] uppercase shadow-[2px_2px_0_#000] bg-[#90DCFF] text-black"
+            >
+              Auto-apply: {quest.autoXp ? 'On' : 'Off'}
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderQuestRow = (quest) => (
+    <div
+      key={quest.id}
+      className="flex items-center justify-between gap-2 text-xs border-b border-[#251744] py-2"
+    >
+      <button
+        onClick={() => openQuestDetail(quest.id)}
+        className="text-[#FDFB76] text-left hover:underline"
+      >
+        {quest.title}
+      </button>
+      <span className="text-[#90DCFF] text-[10px] text-right">
+        {getQuestStatus(quest)}
+        {getQuestStatus(quest) === 'Active' && quest.nextDueAt
+          ? ` · due ${quest.nextDueAt.toLocaleDateString()}`
+          : ''}
+      </span>
+    </div>
+  );
+
+  const renderQuestDetail = () => {
+    const quest = quests.find((q) => q.id === routeQuestId);
+    const completions = getQuestCompletions(historyEntries, routeQuestId);
+    const stats = summarizeQuestCompletions(completions);
+    const maxMonthlyXp = Math.max(1, ...stats.xpByMonth.map((month) => month.xp));
+    return (
+      <section className={panelClass}>
+        <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">Quest Details</p>
+            <p className="text-[#90DCFF] text-[10px] mt-1">
+              {quest?.title || completions[0]?.questTitle || 'Unknown quest'}
+            </p>
+            {questActionError && (
+              <p className="text-[#E10086] text-xs mt-2">{questActionError}</p>
+            )}
+          </div>
+          <button onClick={() => setActivePage(PAGES.QUEST_LOG)} className={neonButton('ghost')}>
+            Back to Quest Log
+          </button>
+        </div>
+
+        {quest ? (
+          <div className="space-y-3">
+            {renderQuestCard(quest, isQuestDue(quest, clock) && quest.isActive !== false)}
+            <div className="bg-[#1a1030] border-2 border-black shadow-[0_4px_0_#000] p-4 space-y-1">
+              <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Settings</p>
               <p className="text-[#90DCFF] text-xs">
-                Difficulty: {quest.difficulty} · XP: {quest.xp} ·{' '}
-                {quest.frequencyType === 'once'
-                  ? 'Once'
-                  : `${quest.frequencyType.charAt(0).toUpperCase() + quest.frequencyType.slice(1)} · every ${quest.frequencyInterval || 1} ${quest.frequencyType === 'daily' ? 'day' : quest.frequencyType === 'weekly' ? 'week' : 'month'}${(quest.frequencyInterval || 1) > 1 ? 's' : ''}`}
+                Difficulty: {getTierLabel(quest.difficulty)}
               </p>
-              <p className="text-[#90DCFF] text-[10px] mt-1">
-                Created by: {quest.createdByName || quest.createdById || 'Unknown'}
+              <p className="text-[#90DCFF] text-xs">
+                Base XP: {quest.xp}
+                {quest.xpOverride !== null ? ' (custom)' : ''}
               </p>
-              <p className="text-[#90DCFF] text-[10px]">
-                Reserved by: {quest.reservedByName || '—'}
+              <p className="text-[#90DCFF] text-xs">Repeats: {describeRecurrence(quest.recurrence)}</p>
+              <p className="text-[#90DCFF] text-xs">
+                Next due: {quest.nextDueAt ? quest.nextDueAt.toLocaleString() : '—'}
               </p>
-              {quest.lastCompletedAt && (
-                <p className="text-[#90DCFF] text-[10px]">
-                  Last completed by {quest.lastCompletedByName || '—'} on{' '}
-                  {quest.lastCompletedAt.toLocaleString()}
-                </p>
-              )}
+              <p className="text-[#90DCFF] text-xs">Status: {getQuestStatus(quest)}</p>
+              {renderQuestManageActions(quest)}
             </div>
-            {showActions && (
-              <div className="flex gap-2 flex-wrap">
-                <button
-                  onClick={() => toggleReservation(quest)}
-                  disabled={reservedByOther}
-                  className={`border-4 border-black px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000] ${
-                    quest.reservedById === currentUser?.uid
-                      ? 'bg-[#E10086] text-white'
-                      : 'bg-[#00DB96] text-black'
-                  } ${reservedByOther ? 'opacity-50 cursor-not-allowed' : ''}`}
-                >
-                  {quest.reservedById === currentUser?.uid ? 'Release' : 'Reserve'}
-                </button>
-                <button
-                  onClick={() => openCompletion(quest.id)}
-                  disabled={reservedByOther}
-                  className={`border-4 border-black bg-[#FDFB76] text-black px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000] ${
-                    reservedByOther ? 'opacity-50 cursor-not-allowed' : ''
-                  }`}
-                >
-                  Complete
-                </button>
-                <button
-                  onClick={() => handleFocusQuest(quest)}
-                  disabled={reservedByOther}
-                  className={`border-4 border-black bg-[#5176fd] text-white px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000] ${
-                    reservedByOther ? 'opacity-50 cursor-not-allowed' : ''
-                  }`}
-                >
-                  Focus
-                </button>
-              </div>
-            )}
+            {renderChecklist(quest)}
+            {renderXpSuggestion(quest, completions)}
           </div>
-        </div>
-      );
-    };
-
-    const renderHistoryCard = (entry) => {
-      const completedDate = coerceDate(entry.completedAt || entry.completed_at);
-      return (
-        <div
-          key={entry.id}
-          className="bg-[#1a1030] border-2 border-black shadow-[0_4px_0_#000] p-4 space-y-2"
-        >
-          <p className="text-[#FDFB76] text-lg">{entry.questTitle || entry.quest_title}</p>
+        ) : (
           <p className="text-[#90DCFF] text-xs">
-            Completed by: {entry.completedByName || entry.completed_by_name || entry.completedById || '—'}
+            This quest could not be found. It may have been removed.
           </p>
-          <p className="text-[#90DCFF] text-xs">XP Awarded: {entry.xpAwarded || entry.xp_awarded || 0}</p>
-          {entry.reservedByName && (
-            <p className="text-[#90DCFF] text-xs">
-              Reserved by: {entry.reservedByName || entry.reserved_by_name || '—'}
-            </p>
-          )}
-          {completedDate && (
-            <p className="text-[#90DCFF] text-xs">
-              Date: {completedDate.toLocaleString()}
+        )}
+
+        <div className="grid gap-4 md:grid-cols-4">
+          <div className={statCardClass}>
+            <p className="text-[#90DCFF] text-[10px] tracking-[0.2em]">COMPLETIONS</p>
+            <p className="text-[#FDFB76] text-2xl mt-2">{stats.totalCompletions}</p>
+            <p className="text-gray-300 text-[9px] mt-1">{stats.totalXp.toLocaleString()} XP paid</p>
+          </div>
+          <div className={statCardClass}>
+            <p className="text-[#90DCFF] text-[10px] tracking-[0.2em]">TOP HERO</p>
+            <p className="text-[#FDFB76] text-lg mt-2">{stats.topCompleter?.name || '—'}</p>
+            <p className="text-gray-300 text-[9px] mt-1">
+              {stats.topCompleter ? `${stats.topCompleter.count} completions` : 'No completions yet'}
             </p>
-          )}
-          {entry.focusDurationSeconds != null && (
-            <p className="text-[#90DCFF] text-xs">
-              Focus duration: {formatMs((entry.focusDurationSeconds || 0) * 1000)}
+          </div>
+          <div className={statCardClass}>
+            <p className="text-[#90DCFF] text-[10px] tracking-[0.2em]">AVG FOCUS</p>
+            <p className="text-[#FDFB76] text-lg mt-2">
+              {stats.averageFocusSeconds != null
+                ? formatMs(stats.averageFocusSeconds * 1000)
+                : '—'}
             </p>
+            <p className="text-gray-300 text-[9px] mt-1">Timed completions only</p>
+          </div>
+          <div className={statCardClass}>
+            <p className="text-[#90DCFF] text-[10px] tracking-[0.2em]">AVG TIMING</p>
+            <p className="text-[#FDFB76] text-lg mt-2">{formatLateness(stats.averageLatenessMs)}</p>
+            <p className="text-gray-300 text-[9px] mt-1">Versus the due date</p>
+          </div>
+        </div>
+
+        <div className="grid gap-4 lg:grid-cols-2">
+          <div className="space-y-2">
+            <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Who does it</p>
+            {stats.completerCounts.map((completer) => (
+              <div key={completer.id} className="flex justify-between text-xs text-[#90DCFF]">
+                <span>{completer.name}</span>
+                <span>{completer.count}</span>
+              </div>
+            ))}
+            {stats.completerCounts.length === 0 && (
+              <p className="text-[#90DCFF] text-xs">Nobody has completed this quest yet.</p>
+            )}
+          </div>
+          <div className="space-y-2">
+            <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">XP paid per month</p>
+            {stats.xpByMonth.map(({ month, xp }) => (
+              <div key={month} className="flex items-center gap-2 text-xs text-[#90DCFF]">
+                <span className="w-16">{month}</span>
+                <div className="flex-1 h-3 bg-black border border-[#49297E]">
+                  <div
+                    className="h-full bg-gradient-to-r from-[#00DB96] to-[#FDFB76]"
+                    style={{ width: `${(xp / maxMonthlyXp) * 100}%` }}
+                  />
+                </div>
+                <span className="w-14 text-right">{xp} XP</span>
+              </div>
+            ))}
+            {stats.xpByMonth.length === 0 && (
+              <p className="text-[#90DCFF] text-xs">No XP paid out yet.</p>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Completion history</p>
+          {historyError && <p className="text-[#E10086] text-xs">{historyError}</p>}
+          {completions.map((entry) => renderHistoryCard(entry))}
+          {completions.length === 0 && (
+            <p className="text-[#90DCFF] text-xs">No completions recorded for this quest.</p>
           )}
         </div>
-      );
-    };
+      </section>
+    );
+  };
 
+  const renderQuestLog = () => {
     return (
       <section className={panelClass}>
         <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
@@ -1243,9 +3595,12 @@ const QuestManager = ({ appId = 'default-app' }) => {
             <p className="text-[#90DCFF] text-[10px] mt-1">
               Manage active quests for the household
             </p>
+            {reservationError && (
+              <p className="text-[#E10086] text-xs mt-2">{reservationError}</p>
+            )}
           </div>
           <div className="flex gap-2">
-            <button onClick={() => setNewQuestModal(true)} className={neonButton('primary')}>
+            <button onClick={openCreateQuest} className={neonButton('primary')}>
               Create Quest
             </button>
             <button
@@ -1256,6 +3611,52 @@ const QuestManager = ({ appId = 'default-app' }) => {
             </button>
           </div>
         </div>
+        {(incomingSwapRequests.length > 0 || outgoingSwapRequests.length > 0) && (
+          <div className="bg-[#0b0717] border-[3px] border-[#90DCFF] p-4 shadow-[0_4px_0_#000] space-y-2">
+            <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Swap requests</p>
+            {incomingSwapRequests.map((request) => (
+              <div
+                key={request.id}
+                className="flex flex-wrap items-center justify-between gap-2 bg-[#1a1030] border-2 border-black px-3 py-2 text-xs"
+              >
+                <span className="text-[#90DCFF]">
+                  {request.fromName} asks you to take {request.questTitle}
+                  {request.tradeQuestTitle ? ` and will do your ${request.tradeQuestTitle}` : ''}
+                </span>
+                <span className="flex gap-2">
+                  <button
+                    onClick={() => handleSwapDecision(request, true)}
+                    className="border-[3px] border-black bg-[#00DB96] text-black px-3 py-1 text-[10px] shadow-[2px_2px_0_#000]"
+                  >
+                    Accept
+                  </button>
+                  <button
+                    onClick={() => handleSwapDecision(request, false)}
+                    className="border-[3px] border-black bg-[#E10086] text-white px-3 py-1 text-[10px] shadow-[2px_2px_0_#000]"
+                  >
+                    Decline
+                  </button>
+                </span>
+              </div>
+            ))}
+            {outgoingSwapRequests.map((request) => (
+              <div
+                key={request.id}
+                className="flex flex-wrap items-center justify-between gap-2 bg-[#1a1030] border-2 border-black px-3 py-2 text-xs"
+              >
+                <span className="text-[#90DCFF]">
+                  Waiting on {request.toName} to take {request.questTitle}
+                </span>
+                <button
+                  onClick={() => handleCancelSwap(request)}
+                  className="border-[3px] border-black bg-gray-500 text-white px-3 py-1 text-[10px] shadow-[2px_2px_0_#000]"
+                >
+                  Cancel
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mt-6">
           {/* Reserved Quests Panel */}
           <div className="bg-[#0b0717] border-[3px] border-[#49297E] p-4 shadow-[0_4px_0_#000]">
@@ -1299,6 +3700,26 @@ const QuestManager = ({ appId = 'default-app' }) => {
             </div>
           </div>
         </div>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="bg-[#0b0717] border-[3px] border-[#49297E] p-4 shadow-[0_4px_0_#000]">
+            <h3 className="text-[#FDFB76] text-sm uppercase tracking-[0.2em] mb-2">
+              Upcoming &amp; Paused
+            </h3>
+            {upcomingQuests.length > 0 ? (
+              upcomingQuests.map((quest) => renderQuestRow(quest))
+            ) : (
+              <p className="text-[#90DCFF] text-xs">Every quest is due right now.</p>
+            )}
+          </div>
+          <div className="bg-[#0b0717] border-[3px] border-[#49297E] p-4 shadow-[0_4px_0_#000]">
+            <h3 className="text-[#FDFB76] text-sm uppercase tracking-[0.2em] mb-2">Archived</h3>
+            {archivedQuests.length > 0 ? (
+              archivedQuests.map((quest) => renderQuestRow(quest))
+            ) : (
+              <p className="text-[#90DCFF] text-xs">No archived quests.</p>
+            )}
+          </div>
+        </div>
       </section>
     );
   };
@@ -1334,15 +3755,17 @@ const QuestManager = ({ appId = 'default-app' }) => {
           <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Timer</p>
           {focusChore ? (
             <>
-              <p className="text-5xl text-[#FDE48A] mt-4">{formatMs(timerState.elapsedMs)}</p>
+              <p className="text-5xl text-[#FDE48A] mt-4">
+                {formatMs(getFocusElapsedMs(focusSessionForChore, timerNow))}
+              </p>
               <p className="text-[#90DCFF] text-[10px] mt-2">Current quest: {focusChore.title}</p>
               <div className="flex gap-2 flex-wrap mt-4">
-                {!timerState.isRunning && (
+                {!focusRunning && (
                   <button onClick={startTimer} className={neonButton('primary')}>
                     Start
                   </button>
                 )}
-                {timerState.isRunning && (
+                {focusRunning && (
                   <button onClick={pauseTimer} className={neonButton('accent')}>
                     Pause
                   </button>
@@ -1442,6 +3865,7 @@ const QuestManager = ({ appId = 'default-app' }) => {
           ></iframe>
         </div>
       </div>
+      {focusChore && renderChecklist(focusChore)}
       {focusChore && (
         <div className="bg-[#0b0717] border-[3px] border-[#49297E] p-4 shadow-[0_4px_0_#000] space-y-3">
           <textarea
@@ -1463,6 +3887,218 @@ const QuestManager = ({ appId = 'default-app' }) => {
 
   const renderRewardHall = () => (
     <div className="space-y-6">
+      <section className={panelClass}>
+        <div>
+          <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">Badges</p>
+          <p className="text-[#90DCFF] text-[10px] mt-1">
+            {unlockedAchievements.length} of {myAchievements.length} unlocked
+          </p>
+        </div>
+        <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+          {myAchievements.map((achievement) => (
+            <div
+              key={achievement.id}
+              className={`bg-[#1a1030] border-2 border-black shadow-[0_4px_0_#000] p-3 space-y-2 ${
+                achievement.unlocked ? '' : 'opacity-70'
+              }`}
+            >
+              <div className="flex items-center gap-3">
+                <span className={`text-2xl ${achievement.unlocked ? '' : 'grayscale'}`}>
+                  {achievement.icon}
+                </span>
+                <div>
+                  <p className="text-[#FDFB76] text-xs">{achievement.title}</p>
+                  <p className="text-[#90DCFF] text-[9px]">{achievement.description}</p>
+                </div>
+              </div>
+              {achievement.unlocked ? (
+                <p className="text-[#00DB96] text-[9px] uppercase tracking-[0.2em]">
+                  Unlocked
+                  {achievement.unlockedAt ? ` ${achievement.unlockedAt.toLocaleDateString()}` : ''}
+                </p>
+              ) : (
+                <div>
+                  <div className="w-full bg-[#1c1133] border-2 border-black h-2">
+                    <div
+                      className="h-full bg-gradient-to-r from-[#00DB96] to-[#FDFB76]"
+                      style={{
+                        width: `${Math.min(100, (achievement.progress / achievement.goal) * 100)}%`,
+                      }}
+                    />
+                  </div>
+                  <p className="text-gray-300 text-[9px] mt-1">
+                    {achievement.progress}/{achievement.goal}
+                    {achievement.unit ? ` ${achievement.unit}` : ''}
+                  </p>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </section>
+      {defeatedBosses.length > 0 && (
+        <section className={panelClass}>
+          <div>
+            <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">Shared rewards</p>
+            <p className="text-[#90DCFF] text-[10px] mt-1">Unlocked by defeating bosses together</p>
+          </div>
+          <ul className="space-y-2">
+            {defeatedBosses.map((boss) => {
+              const mvp = getBossContributions(boss, users)[0];
+              return (
+                <li
+                  key={boss.id}
+                  className="flex flex-wrap justify-between gap-2 bg-[#1a1030] border-2 border-black px-3 py-2 shadow-[0_3px_0_#000] text-xs"
+                >
+                  <span className="text-[#FDFB76]">
+                    {boss.rewardTitle || 'Bragging rights'} · {boss.name} defeated
+                    {boss.defeatedAt ? ` ${boss.defeatedAt.toLocaleDateString()}` : ''}
+                  </span>
+                  {mvp && mvp.damage > 0 && (
+                    <span className="text-[#90DCFF]">
+                      MVP {mvp.name} ({mvp.share}%)
+                    </span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+      <section className={panelClass}>
+        <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">Reward Shop</p>
+            <p className="text-[#90DCFF] text-[10px] mt-1">Spend star coins on household perks</p>
+          </div>
+          <p className="text-[#FDE48A] text-xs">
+            Balance: {Math.floor(player.star_coins || 0).toLocaleString()} coins
+          </p>
+        </div>
+        {shopMessage && (
+          <p
+            className={`text-xs ${
+              shopMessage.type === 'error' ? 'text-[#E10086]' : 'text-[#00DB96]'
+            }`}
+          >
+            {shopMessage.message}
+          </p>
+        )}
+        <div className="flex flex-wrap items-center justify-between gap-2 bg-[#0b0717] border-2 border-[#90DCFF] px-3 py-2 shadow-[0_3px_0_#000]">
+          <span className="text-[#FDFB76]">
+            Streak freeze{' '}
+            <span className="text-[#90DCFF] text-[10px]">
+              Covers one missed day · you hold {myFreezeTokens}
+            </span>
+          </span>
+          <div className="flex items-center gap-2">
+            <span className="text-[#90DCFF] text-xs">{STREAK_FREEZE_COST} coins</span>
+            <button
+              onClick={handleBuyStreakFreeze}
+              disabled={buyingFreeze || (player.star_coins || 0) < STREAK_FREEZE_COST}
+              className={`border-[3px] border-black bg-[#00DB96] text-black px-3 py-1 text-[10px] shadow-[2px_2px_0_#000] ${
+                buyingFreeze || (player.star_coins || 0) < STREAK_FREEZE_COST
+                  ? 'opacity-50 cursor-not-allowed'
+                  : ''
+              }`}
+            >
+              {buyingFreeze ? 'Buying...' : 'Buy'}
+            </button>
+          </div>
+        </div>
+        {rewards.length > 0 ? (
+          <ul className="space-y-2">
+            {rewards.map((reward) => {
+              const affordable = (player.star_coins || 0) >= reward.cost;
+              const canRemove = reward.createdById === currentUser.uid || isAdmin;
+              return (
+                <li
+                  key={reward.id}
+                  className="flex flex-wrap items-center justify-between gap-2 bg-[#1a1030] border-2 border-black px-3 py-2 shadow-[0_3px_0_#000]"
+                >
+                  <span className="text-[#FDFB76]">{reward.title}</span>
+                  <div className="flex items-center gap-2">
+                    <span className="text-[#90DCFF] text-xs">{reward.cost} coins</span>
+                    <button
+                      onClick={() => handleRedeemReward(reward)}
+                      disabled={!affordable || redeemingRewardId === reward.id}
+                      className={`border-[3px] border-black bg-[#00DB96] text-black px-3 py-1 text-[10px] shadow-[2px_2px_0_#000] ${
+                        !affordable || redeemingRewardId === reward.id
+                          ? 'opacity-50 cursor-not-allowed'
+                          : ''
+                      }`}
+                    >
+                      {redeemingRewardId === reward.id ? 'Redeeming...' : 'Redeem'}
+                    </button>
+                    {canRemove && (
+                      <button
+                        onClick={() => handleRemoveShopReward(reward)}
+                        className="border-[3px] border-black bg-[#E10086] text-white px-3 py-1 text-[10px] shadow-[2px_2px_0_#000]"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="text-[#90DCFF] text-xs">No rewards in the shop yet.</p>
+        )}
+        <div className="flex flex-col gap-2 sm:flex-row">
+          <input
+            type="text"
+            value={rewardForm.title}
+            onChange={(e) => setRewardForm((prev) => ({ ...prev, title: e.target.value }))}
+            placeholder="New reward (e.g., Skip dishes pass)"
+            className="flex-1 bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+          />
+          <input
+            type="number"
+            min={1}
+            value={rewardForm.cost}
+            onChange={(e) => setRewardForm((prev) => ({ ...prev, cost: e.target.value }))}
+            className="w-28 bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+          />
+          <button
+            onClick={handleAddShopReward}
+            disabled={savingShopReward}
+            className={`${neonButton('primary')} ${savingShopReward ? 'opacity-60' : ''}`}
+          >
+            {savingShopReward ? 'Saving...' : 'Add Reward'}
+          </button>
+        </div>
+      </section>
+      <section className={panelClass}>
+        <div>
+          <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">Redemption Ledger</p>
+          <p className="text-[#90DCFF] text-[10px] mt-1">Every reward claimed in the household</p>
+        </div>
+        {redemptions.length > 0 ? (
+          <ul className="space-y-2">
+            {redemptions.slice(0, 20).map((entry) => {
+              const redeemedDate = coerceDate(entry.redeemedAt);
+              return (
+                <li
+                  key={entry.id}
+                  className="flex flex-wrap justify-between gap-2 bg-[#1a1030] border-2 border-black px-3 py-2 shadow-[0_3px_0_#000]"
+                >
+                  <span className="text-[#FDFB76] text-xs">
+                    {entry.redeemedByName || entry.redeemedById} redeemed {entry.rewardTitle}
+                  </span>
+                  <span className="text-[#90DCFF] text-xs">
+                    -{entry.cost} coins
+                    {redeemedDate ? ` · ${redeemedDate.toLocaleString()}` : ''}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="text-[#90DCFF] text-xs">No rewards redeemed yet.</p>
+        )}
+      </section>
       <section className={panelClass}>
         <div>
           <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">Weekly XP Leaderboard</p>
@@ -1485,6 +4121,44 @@ const QuestManager = ({ appId = 'default-app' }) => {
             ))}
         </ul>
       </section>
+      <section className={panelClass}>
+        <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">Past Weeks</p>
+            <p className="text-[#90DCFF] text-[10px] mt-1">Final standings from closed weeks</p>
+          </div>
+          {weeklyStandings.length > 0 && (
+            <select
+              value={selectedStandings?.id || ''}
+              onChange={(e) => setSelectedStandingsWeek(e.target.value)}
+              className="bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+            >
+              {weeklyStandings.map((week) => (
+                <option key={week.id} value={week.id}>
+                  Week of {getWeekStartDate(week.weekNumber).toLocaleDateString()}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+        {selectedStandings ? (
+          <ul className="space-y-2">
+            {(selectedStandings.standings || []).map((entry) => (
+              <li
+                key={entry.userId}
+                className="flex justify-between bg-[#1a1030] border-2 border-black px-3 py-2 shadow-[0_3px_0_#000]"
+              >
+                <span className="text-[#FDFB76]">
+                  #{entry.rank} {entry.displayName || entry.userId}
+                </span>
+                <span className="text-[#90DCFF]">{entry.weeklyXp || 0} XP</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-[#90DCFF] text-xs">No weeks have been closed yet.</p>
+        )}
+      </section>
       <section className={panelClass}>
         <div>
           <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">Monthly Contest</p>
@@ -1497,7 +4171,10 @@ const QuestManager = ({ appId = 'default-app' }) => {
               className="flex justify-between bg-[#1a1030] border-2 border-black px-3 py-2 shadow-[0_3px_0_#000]"
             >
               <span className="text-[#FDFB76]">
-                #{idx + 1} {u.display_name || u.id}
+                #{idx + 1} {u.display_name || u.id}{' '}
+                <span className="text-[#00DB96] text-[10px]">
+                  Lv {getLevelForXp(u.total_xp || 0)}
+                </span>
               </span>
               <span className="text-[#90DCFF]">{u.monthlyXp} XP</span>
             </li>
@@ -1517,6 +4194,12 @@ const QuestManager = ({ appId = 'default-app' }) => {
               onChange={(e) => setFairnessInput(Number(e.target.value))}
               className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
             />
+            {fairnessPolicy.thresholdMode === 'household' && (
+              <p className="text-[#90DCFF] text-[9px] mt-1">
+                Your household uses one shared threshold ({fairnessPolicy.householdThreshold} XP),
+                so this value is only kept for later.
+              </p>
+            )}
             <button
               onClick={handleFairnessSave}
               disabled={savingFairness}
@@ -1553,7 +4236,8 @@ const QuestManager = ({ appId = 'default-app' }) => {
     <section className={panelClass}>
       <div>
         <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">History Log</p>
-        <p className="text-[#90DCFF] text-[10px] mt-1">Every quest completion across the house</p>
+        <p className="text-[#90DCFF] text-[10px] mt-1">Every quest completion across the household</p>
+        {historyError && <p className="text-[#E10086] text-xs mt-2">{historyError}</p>}
       </div>
       <div className="space-y-3">
         {historyEntries.map((entry) => {
@@ -1561,15 +4245,26 @@ const QuestManager = ({ appId = 'default-app' }) => {
           return (
             <div
               key={entry.id}
-              className="bg-[#1a1030] border-2 border-black shadow-[0_4px_0_#000] p-4 space-y-1"
+              className={`bg-[#1a1030] border-2 border-black shadow-[0_4px_0_#000] p-4 space-y-1 ${
+                entry.voided ? 'opacity-60' : ''
+              }`}
             >
-              <p className="text-[#FDFB76] text-lg">{entry.questTitle}</p>
+              <p className={`text-[#FDFB76] text-lg ${entry.voided ? 'line-through' : ''}`}>
+                {entry.questTitle}
+              </p>
+              {entry.voided && (
+                <p className="text-[#E10086] text-xs">
+                  Voided by {entry.voidedByName || entry.voidedById || '—'}
+                  {entry.voidReason ? ` · ${entry.voidReason}` : ''}
+                </p>
+              )}
               <p className="text-[#90DCFF] text-xs">
                 Completed by: {entry.completedByName || entry.completedById}
               </p>
               <p className="text-[#90DCFF] text-xs">
                 XP Awarded: {entry.xpAwarded || 0}
               </p>
+              {renderCompletionBreakdown(entry)}
               <p className="text-[#90DCFF] text-xs">
                 Reserved by: {entry.reservedByName || '—'}
               </p>
@@ -1584,6 +4279,7 @@ const QuestManager = ({ appId = 'default-app' }) => {
               {entry.notes && (
                 <p className="text-[#90DCFF] text-xs">Notes: {entry.notes}</p>
               )}
+              {renderCompletionActions(entry)}
             </div>
           );
         })}
@@ -1602,6 +4298,7 @@ const QuestManager = ({ appId = 'default-app' }) => {
             <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">Player Stats</p>
             <p className="text-[#90DCFF] text-[10px] mt-1">Your current quest résumé</p>
           </div>
+          {renderLevelBar(profileUser.totalXp)}
           <div className="grid gap-4 md:grid-cols-3">
             <div className={statCardClass}>
               <div className="h-2 mb-3 rounded-full bg-gradient-to-r from-[#00DB96] via-[#90DCFF] to-[#FDFB76]" />
@@ -1609,42 +4306,420 @@ const QuestManager = ({ appId = 'default-app' }) => {
               <p className="text-[#FDFB76] text-2xl mt-2">{profileUser.totalXp.toLocaleString()}</p>
               <p className="text-gray-300 text-[9px] mt-1">Lifetime quests</p>
             </div>
-            <div className={statCardClass}>
-              <div className="h-2 mb-3 rounded-full bg-gradient-to-r from-[#FDE48A] to-[#E10086]" />
-              <p className="text-[#90DCFF] text-[10px] tracking-[0.2em]">WEEKLY XP</p>
-              <p className="text-[#FDFB76] text-2xl mt-2">{profileUser.weeklyXp.toLocaleString()}</p>
-              <p className="text-gray-300 text-[9px] mt-1">This week&apos;s grind</p>
+            <div className={statCardClass}>
+              <div className="h-2 mb-3 rounded-full bg-gradient-to-r from-[#FDE48A] to-[#E10086]" />
+              <p className="text-[#90DCFF] text-[10px] tracking-[0.2em]">WEEKLY XP</p>
+              <p className="text-[#FDFB76] text-2xl mt-2">{profileUser.weeklyXp.toLocaleString()}</p>
+              <p className="text-gray-300 text-[9px] mt-1">This week&apos;s grind</p>
+            </div>
+            <div className={statCardClass}>
+              <div className="h-2 mb-3 rounded-full bg-gradient-to-r from-[#00DB96] to-[#2fb1a8]" />
+              <p className="text-[#90DCFF] text-[10px] tracking-[0.2em]">STAR COINS</p>
+              <p className="text-[#FDFB76] text-2xl mt-2">{profileUser.starCoins.toLocaleString()}</p>
+              <p className="text-gray-300 text-[9px] mt-1">Reward Hall currency</p>
+            </div>
+          </div>
+          <div className="bg-[#0b0717] border-[3px] border-[#00DB96] p-4 space-y-3">
+            <div className="flex flex-wrap gap-3 items-center">
+              <div className="text-[#FDFB76] text-[10px] uppercase tracking-widest">
+                Friend Code
+              </div>
+              <div className="text-[12px] bg-black border-2 border-[#90DCFF] px-3 py-1 text-[#90DCFF]">
+                {profileUser.friendCodeShort || 'No active code'}
+              </div>
+              {profileUser.friendCodeShort && (
+                <button
+                  onClick={async () => {
+                    try {
+                      await navigator.clipboard.writeText(profileUser.friendCodeShort);
+                    } catch (err) {
+                      console.error('Failed to copy:', err);
+                    }
+                  }}
+                  className="border-[3px] border-black bg-[#00DB96] text-black px-3 py-1 text-[10px] shadow-[2px_2px_0_#000]"
+                >
+                  Copy
+                </button>
+              )}
+              <button
+                onClick={handleRegenerateFriendCode}
+                disabled={friendCodeBusy}
+                className={`border-[3px] border-black bg-[#FDFB76] text-black px-3 py-1 text-[10px] shadow-[2px_2px_0_#000] ${
+                  friendCodeBusy ? 'opacity-60' : ''
+                }`}
+              >
+                {profileUser.friendCodeShort ? 'Regenerate' : 'Generate'}
+              </button>
+              {profileUser.friendCodeShort && (
+                <button
+                  onClick={handleRevokeFriendCode}
+                  disabled={friendCodeBusy}
+                  className={`border-[3px] border-black bg-[#E10086] text-white px-3 py-1 text-[10px] shadow-[2px_2px_0_#000] ${
+                    friendCodeBusy ? 'opacity-60' : ''
+                  }`}
+                >
+                  Revoke
+                </button>
+              )}
+            </div>
+            <p className="text-[#90DCFF] text-[9px]">
+              Share this code to invite someone into {activeHousehold?.name || 'this household'}.
+            </p>
+            {friendCodeError && <p className="text-[#E10086] text-xs">{friendCodeError}</p>}
+          </div>
+        </section>
+
+        <section className={panelClass}>
+          <div>
+            <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">Household Invites</p>
+            <p className="text-[#90DCFF] text-[10px] mt-1">Approve new members or join a friend</p>
+          </div>
+          {visibleJoinRequests.length > 0 ? (
+            <ul className="space-y-2">
+              {visibleJoinRequests.map((request) => (
+                <li
+                  key={request.id}
+                  className="flex flex-wrap items-center justify-between gap-2 bg-[#1a1030] border-2 border-black px-3 py-2 shadow-[0_3px_0_#000]"
+                >
+                  <span className="text-[#FDFB76] text-xs">
+                    {request.requesterName || request.requesterId} wants to join
+                  </span>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleJoinRequestDecision(request, true)}
+                      className="border-[3px] border-black bg-[#00DB96] text-black px-3 py-1 text-[10px] shadow-[2px_2px_0_#000]"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleJoinRequestDecision(request, false)}
+                      className="border-[3px] border-black bg-[#E10086] text-white px-3 py-1 text-[10px] shadow-[2px_2px_0_#000]"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-[#90DCFF] text-xs">No pending join requests.</p>
+          )}
+          {joinRequestError && <p className="text-[#E10086] text-xs">{joinRequestError}</p>}
+          <div className="flex flex-col gap-2 sm:flex-row">
+            <input
+              type="text"
+              value={joinCodeInput}
+              onChange={(e) => setJoinCodeInput(e.target.value)}
+              placeholder="Friend code (ABCD-2345)"
+              className="flex-1 bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs uppercase"
+            />
+            <button
+              onClick={handleJoinHousehold}
+              disabled={!joinCodeInput.trim()}
+              className={neonButton('accent')}
+            >
+              Request to Join
+            </button>
+          </div>
+          {joinStatus && (
+            <p
+              className={`text-xs ${
+                joinStatus.type === 'error' ? 'text-[#E10086]' : 'text-[#00DB96]'
+              }`}
+            >
+              {joinStatus.message}
+            </p>
+          )}
+        </section>
+
+        {isAdmin && (
+          <section className={panelClass}>
+            <div>
+              <p className="text-[#FDFB76] text-sm uppercase tracking-[0.2em]">
+                Household Settings
+              </p>
+              <p className="text-[#90DCFF] text-[10px] mt-1">House rules for every member</p>
+            </div>
+            <div>
+              <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em] mb-2">
+                Reservation expiry (hours)
+              </p>
+              <input
+                type="number"
+                min={1}
+                value={householdSettingsForm.reservationExpiryHours}
+                onChange={(e) =>
+                  setHouseholdSettingsForm((prev) => ({
+                    ...prev,
+                    reservationExpiryHours: Number(e.target.value),
+                  }))
+                }
+                className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+              />
+              <p className="text-[#90DCFF] text-[9px] mt-1">
+                Reserved quests return to Available after this long.
+              </p>
             </div>
-            <div className={statCardClass}>
-              <div className="h-2 mb-3 rounded-full bg-gradient-to-r from-[#00DB96] to-[#2fb1a8]" />
-              <p className="text-[#90DCFF] text-[10px] tracking-[0.2em]">STAR COINS</p>
-              <p className="text-[#FDFB76] text-2xl mt-2">{profileUser.starCoins.toLocaleString()}</p>
-              <p className="text-gray-300 text-[9px] mt-1">Reward Hall currency</p>
+            <div className="grid gap-3 sm:grid-cols-2">
+              <div>
+                <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em] mb-2">
+                  Overdue bonus (% per day)
+                </p>
+                <input
+                  type="number"
+                  min={0}
+                  value={householdSettingsForm.overdueBonusPercentPerDay}
+                  onChange={(e) =>
+                    setHouseholdSettingsForm((prev) => ({
+                      ...prev,
+                      overdueBonusPercentPerDay: Number(e.target.value),
+                    }))
+                  }
+                  className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                />
+              </div>
+              <div>
+                <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em] mb-2">
+                  Overdue bonus cap (%)
+                </p>
+                <input
+                  type="number"
+                  min={0}
+                  value={householdSettingsForm.overdueBonusCapPercent}
+                  onChange={(e) =>
+                    setHouseholdSettingsForm((prev) => ({
+                      ...prev,
+                      overdueBonusCapPercent: Number(e.target.value),
+                    }))
+                  }
+                  className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                />
+              </div>
             </div>
-          </div>
-          <div className="bg-[#0b0717] border-[3px] border-[#00DB96] p-4 space-y-3">
-            <div className="flex flex-wrap gap-3 items-center">
-              <div className="text-[#FDFB76] text-[10px] uppercase tracking-widest">
-                Friend Code
+            <p className="text-[#90DCFF] text-[9px]">
+              Ignored quests pay extra XP for every full day they sit overdue. Set 0 to turn it off.
+            </p>
+            <div>
+              <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em] mb-2">
+                Lapsed reservation penalty (XP)
+              </p>
+              <input
+                type="number"
+                min={0}
+                value={householdSettingsForm.overduePenaltyXp}
+                onChange={(e) =>
+                  setHouseholdSettingsForm((prev) => ({
+                    ...prev,
+                    overduePenaltyXp: Number(e.target.value),
+                  }))
+                }
+                className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+              />
+              <p className="text-[#90DCFF] text-[9px] mt-1">
+                Taken from whoever lets a reservation on an overdue quest expire. 0 disables it.
+              </p>
+            </div>
+            <div>
+              <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em] mb-2">
+                Household streak limit (days overdue)
+              </p>
+              <input
+                type="number"
+                min={0}
+                value={householdSettingsForm.streakMaxOverdueDays}
+                onChange={(e) =>
+                  setHouseholdSettingsForm((prev) => ({
+                    ...prev,
+                    streakMaxOverdueDays: Number(e.target.value),
+                  }))
+                }
+                className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+              />
+              <p className="text-[#90DCFF] text-[9px] mt-1">
+                The household streak resets when any quest sits overdue longer than this.
+              </p>
+            </div>
+            <div>
+              <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em] mb-2">
+                XP per focused minute
+              </p>
+              <input
+                type="number"
+                min={1}
+                value={householdSettingsForm.xpPerFocusMinute}
+                onChange={(e) =>
+                  setHouseholdSettingsForm((prev) => ({
+                    ...prev,
+                    xpPerFocusMinute: Number(e.target.value),
+                  }))
+                }
+                className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+              />
+              <p className="text-[#90DCFF] text-[9px] mt-1">
+                Rate used to suggest XP from how long quests take in Focus Mode.
+              </p>
+            </div>
+            <div className="space-y-2">
+              <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Fairness policy</p>
+              <div className="grid gap-3 sm:grid-cols-3">
+                <label className="text-[#90DCFF] text-[10px] space-y-1">
+                  <span className="block">Catch-up boost (x)</span>
+                  <input
+                    type="number"
+                    min={1}
+                    step={0.1}
+                    value={householdSettingsForm.fairnessPolicy.boostMultiplier}
+                    onChange={(e) => updateFairnessPolicyField('boostMultiplier', e.target.value)}
+                    className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                  />
+                </label>
+                <label className="text-[#90DCFF] text-[10px] space-y-1">
+                  <span className="block">Max boost when scaling (x)</span>
+                  <input
+                    type="number"
+                    min={1}
+                    step={0.1}
+                    value={householdSettingsForm.fairnessPolicy.maxBoostMultiplier}
+                    disabled={!householdSettingsForm.fairnessPolicy.scaleWithGap}
+                    onChange={(e) =>
+                      updateFairnessPolicyField('maxBoostMultiplier', e.target.value)
+                    }
+                    className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs disabled:opacity-40"
+                  />
+                </label>
+                <label className="text-[#90DCFF] text-[10px] space-y-1">
+                  <span className="block">Leader reduction (%)</span>
+                  <input
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={householdSettingsForm.fairnessPolicy.leaderReductionPercent}
+                    onChange={(e) =>
+                      updateFairnessPolicyField('leaderReductionPercent', e.target.value)
+                    }
+                    className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                  />
+                </label>
               </div>
-              <div className="text-[12px] bg-black border-2 border-[#90DCFF] px-3 py-1 text-[#90DCFF]">
-                {profileUser.friendCodeShort}
+              <label className="text-[#90DCFF] text-[10px] space-y-1 block">
+                <span className="block">Measure the gap by</span>
+                <select
+                  value={householdSettingsForm.fairnessPolicy.metric}
+                  onChange={(e) => updateFairnessPolicyField('metric', e.target.value)}
+                  className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                >
+                  {FAIRNESS_METRIC_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-[#90DCFF] text-[10px]">
+                <input
+                  type="checkbox"
+                  checked={householdSettingsForm.fairnessPolicy.scaleWithGap}
+                  onChange={(e) => updateFairnessPolicyField('scaleWithGap', e.target.checked)}
+                />
+                Scale the boost with the size of the gap
+              </label>
+              <div className="grid gap-3 sm:grid-cols-2">
+                <select
+                  value={householdSettingsForm.fairnessPolicy.thresholdMode}
+                  onChange={(e) => updateFairnessPolicyField('thresholdMode', e.target.value)}
+                  className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                >
+                  {FAIRNESS_THRESHOLD_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                {householdSettingsForm.fairnessPolicy.thresholdMode === 'household' && (
+                  <input
+                    type="number"
+                    min={1}
+                    value={householdSettingsForm.fairnessPolicy.householdThreshold}
+                    onChange={(e) =>
+                      updateFairnessPolicyField('householdThreshold', e.target.value)
+                    }
+                    className="w-full bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                  />
+                )}
               </div>
-              <button
-                onClick={async () => {
-                  try {
-                    await navigator.clipboard.writeText(profileUser.friendCodeShort);
-                  } catch (err) {
-                    console.error('Failed to copy:', err);
+              <p className="text-[#90DCFF] text-[9px]">
+                Applies once the weekly gap between leader and trailing player passes the threshold.
+                Focus minutes are priced at the XP-per-minute rate and completions at their tier's
+                XP, so thresholds stay in XP-sized points whichever measure you pick.
+              </p>
+            </div>
+            <div className="space-y-2">
+              <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Difficulty tiers</p>
+              {householdSettingsForm.difficultyTiers.map((tier) => {
+                const questCount = chores.filter((quest) => quest.difficulty === tier.id).length;
+                return (
+                  <div key={tier.id} className="flex items-center gap-2">
+                    <input
+                      value={tier.label}
+                      onChange={(e) => updateTierField(tier.id, 'label', e.target.value)}
+                      className="flex-1 bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                    />
+                    <input
+                      type="number"
+                      min={0}
+                      value={tier.xp}
+                      onChange={(e) => updateTierField(tier.id, 'xp', Number(e.target.value))}
+                      className="w-24 bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                    />
+                    <button
+                      onClick={() => removeTier(tier.id)}
+                      disabled={
+                        questCount > 0 || householdSettingsForm.difficultyTiers.length === 1
+                      }
+                      title={questCount > 0 ? `${questCount} quest(s) use this tier` : ''}
+                      className={`${neonButton('ghost')} ${questCount > 0 ? 'opacity-40' : ''}`}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                );
+              })}
+              <div className="flex items-center gap-2">
+                <input
+                  placeholder="New tier, e.g. Epic"
+                  value={newTierForm.label}
+                  onChange={(e) => setNewTierForm((prev) => ({ ...prev, label: e.target.value }))}
+                  className="flex-1 bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                />
+                <input
+                  type="number"
+                  min={0}
+                  value={newTierForm.xp}
+                  onChange={(e) =>
+                    setNewTierForm((prev) => ({ ...prev, xp: Number(e.target.value) }))
                   }
-                }}
-                className="border-[3px] border-black bg-[#00DB96] text-black px-3 py-1 text-[10px] shadow-[2px_2px_0_#000]"
-              >
-                Copy
-              </button>
+                  className="w-24 bg-black border-2 border-[#90DCFF] text-white px-3 py-2 text-xs"
+                />
+                <button onClick={addTier} className={neonButton('accent')}>
+                  Add
+                </button>
+              </div>
+              <p className="text-[#90DCFF] text-[9px]">
+                Changing a tier's XP re-prices every quest on it, except quests with custom XP.
+              </p>
             </div>
-          </div>
-        </section>
+            <button
+              onClick={handleHouseholdSettingsSave}
+              disabled={savingHouseholdSettings}
+              className={`${neonButton('accent')} ${savingHouseholdSettings ? 'opacity-60' : ''}`}
+            >
+              {savingHouseholdSettings ? 'Saving...' : 'Save Settings'}
+            </button>
+            {householdSettingsError && (
+              <p className="text-[#E10086] text-xs">{householdSettingsError}</p>
+            )}
+          </section>
+        )}
 
         <section className={panelClass}>
           <div>
@@ -1658,6 +4733,27 @@ const QuestManager = ({ appId = 'default-app' }) => {
               className="w-24 h-24 border-4 border-black bg-black"
               style={{ imageRendering: 'pixelated' }}
             />
+            <div>
+              <p className="text-[#FDFB76] text-[10px] uppercase tracking-widest mb-2">
+                Badges {unlockedAchievements.length}/{myAchievements.length}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {unlockedAchievements.map((achievement) => (
+                  <span
+                    key={achievement.id}
+                    title={`${achievement.title}: ${achievement.description}`}
+                    className="w-10 h-10 border-2 border-black bg-[#1a1030] flex items-center justify-center text-xl shadow-[2px_2px_0_#000]"
+                  >
+                    {achievement.icon}
+                  </span>
+                ))}
+                {unlockedAchievements.length === 0 && (
+                  <p className="text-[#90DCFF] text-[9px]">
+                    No badges yet. Check the Reward Hall for what to chase.
+                  </p>
+                )}
+              </div>
+            </div>
           </div>
           <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
             {AVATAR_OPTIONS.map((avatar) => {
@@ -1715,6 +4811,8 @@ const QuestManager = ({ appId = 'default-app' }) => {
         return renderHistory();
       case PAGES.PROFILE:
         return renderProfile();
+      case PAGES.QUEST_DETAIL:
+        return renderQuestDetail();
       default:
         return null;
     }
@@ -1736,6 +4834,25 @@ const QuestManager = ({ appId = 'default-app' }) => {
                     MEOWTIVATOR: QUEST LOG
                   </p>
                   <p className="text-[#90DCFF] text-xs mt-2">&gt; SELECT PAGE</p>
+                  <div className="flex items-center gap-2 mt-3">
+                    <select
+                      value={activeHousehold?.id || ''}
+                      onChange={(e) => switchHousehold(e.target.value)}
+                      className="bg-black border-2 border-[#90DCFF] text-white px-3 py-1 text-[10px]"
+                    >
+                      {households.map((household) => (
+                        <option key={household.id} value={household.id}>
+                          {household.name || 'Household'}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => setHouseholdModal(true)}
+                      className="border-[3px] border-black bg-[#00DB96] text-black px-3 py-1 text-[10px] shadow-[2px_2px_0_#000]"
+                    >
+                      + Household
+                    </button>
+                  </div>
                 </div>
                 <div className="flex flex-wrap gap-2">
                   {navButton('Dashboard', PAGES.DASHBOARD)}
@@ -1764,7 +4881,9 @@ const QuestManager = ({ appId = 'default-app' }) => {
       {newQuestModal && (
         <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50">
           <div className="bg-[#12091f] border-[3px] border-[#49297E] shadow-[0_0_0_3px_#000,0_8px_0_#000] w-full max-w-lg p-6 space-y-4 text-white">
-            <h3 className="text-2xl text-[#FDE48A] tracking-[0.2em]">Create Quest</h3>
+            <h3 className="text-2xl text-[#FDE48A] tracking-[0.2em]">
+              {editingQuestId ? 'Edit Quest' : 'Create Quest'}
+            </h3>
             <input
               type="text"
               placeholder="Quest title"
@@ -1785,12 +4904,69 @@ const QuestManager = ({ appId = 'default-app' }) => {
               }
               className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
             >
-              {Object.entries(difficultyPresets).map(([key, value]) => (
-                <option value={key} key={key}>
-                  {value.label}
+              {difficultyTiers.map((tier) => (
+                <option value={tier.id} key={tier.id}>
+                  {tier.label} ({tier.xp} XP)
                 </option>
               ))}
             </select>
+            <label className="text-[10px] uppercase tracking-[0.2em] text-[#FDFB76]">
+              Custom XP (optional)
+            </label>
+            <input
+              type="number"
+              min={0}
+              placeholder="Use the tier's XP"
+              value={newQuestForm.xpOverride}
+              onChange={(e) =>
+                setNewQuestForm((prev) => ({ ...prev, xpOverride: e.target.value }))
+              }
+              className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
+            />
+            <div className="space-y-2">
+              <label className="text-[10px] uppercase tracking-[0.2em] text-[#FDFB76] block">
+                Checklist (optional)
+              </label>
+              {newQuestForm.checklist.map((step, index) => (
+                <div key={step.id} className="flex items-center gap-2 text-xs text-[#90DCFF]">
+                  <span className="flex-1">
+                    {index + 1}. {step.label}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => removeChecklistStep(step.id)}
+                    className="border-2 border-black bg-[#E10086] text-white px-2 py-1 text-[10px] uppercase"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  placeholder="Add a step, e.g. Mop the floor"
+                  value={newQuestForm.newStepLabel}
+                  onChange={(e) =>
+                    setNewQuestForm((prev) => ({ ...prev, newStepLabel: e.target.value }))
+                  }
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      addChecklistStep();
+                    }
+                  }}
+                  className="flex-1 bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
+                />
+                <button type="button" onClick={addChecklistStep} className={neonButton('ghost')}>
+                  Add
+                </button>
+              </div>
+              {newQuestForm.checklist.length > 0 && (
+                <p className="text-gray-300 text-[10px]">
+                  XP is split by the steps each player ticks off.
+                </p>
+              )}
+            </div>
             <div>
               <label className="text-[10px] uppercase tracking-[0.2em] text-[#FDFB76] block mb-2">
                 Frequency
@@ -1829,25 +5005,195 @@ const QuestManager = ({ appId = 'default-app' }) => {
                     className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs disabled:opacity-50 disabled:cursor-not-allowed"
                     placeholder="Every"
                   />
-                  {newQuestForm.frequencyType !== 'once' && (
-                    <p className="text-[8px] text-[#90DCFF] mt-1">
-                      {newQuestForm.frequencyType === 'daily' && `Every ${newQuestForm.frequencyInterval} day${newQuestForm.frequencyInterval > 1 ? 's' : ''}`}
-                      {newQuestForm.frequencyType === 'weekly' && `Every ${newQuestForm.frequencyInterval} week${newQuestForm.frequencyInterval > 1 ? 's' : ''}`}
-                      {newQuestForm.frequencyType === 'monthly' && `Every ${newQuestForm.frequencyInterval} month${newQuestForm.frequencyInterval > 1 ? 's' : ''}`}
-                    </p>
-                  )}
                 </div>
               </div>
+              {newQuestForm.frequencyType === 'daily' && (
+                <label className="flex items-center gap-2 text-[10px] text-[#90DCFF] mt-2">
+                  <input
+                    type="checkbox"
+                    checked={newQuestForm.weekdaysOnly}
+                    onChange={(e) =>
+                      setNewQuestForm((prev) => ({ ...prev, weekdaysOnly: e.target.checked }))
+                    }
+                  />
+                  Weekdays only
+                </label>
+              )}
+              {newQuestForm.frequencyType === 'weekly' && (
+                <div className="flex gap-1 flex-wrap mt-2">
+                  {WEEKDAY_LABELS.map((label, day) => {
+                    const selected = newQuestForm.byWeekday.includes(day);
+                    return (
+                      <button
+                        key={label}
+                        type="button"
+                        onClick={() =>
+                          setNewQuestForm((prev) => ({
+                            ...prev,
+                            byWeekday: selected
+                              ? prev.byWeekday.filter((d) => d !== day)
+                              : [...prev.byWeekday, day],
+                          }))
+                        }
+                        className={`border-2 border-black px-2 py-1 text-[10px] ${
+                          selected ? 'bg-[#E10086] text-white' : 'bg-black text-[#90DCFF]'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+              {newQuestForm.frequencyType === 'monthly' && (
+                <div className="space-y-2 mt-2">
+                  <select
+                    value={newQuestForm.monthlyMode}
+                    onChange={(e) =>
+                      setNewQuestForm((prev) => ({ ...prev, monthlyMode: e.target.value }))
+                    }
+                    className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
+                  >
+                    {MONTHLY_MODE_OPTIONS.map((option) => (
+                      <option value={option.value} key={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  {newQuestForm.monthlyMode === 'day' && (
+                    <input
+                      type="number"
+                      min={1}
+                      max={31}
+                      value={newQuestForm.dayOfMonth}
+                      onChange={(e) =>
+                        setNewQuestForm((prev) => ({
+                          ...prev,
+                          dayOfMonth: Math.min(31, Math.max(1, Number(e.target.value) || 1)),
+                        }))
+                      }
+                      className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
+                    />
+                  )}
+                  {newQuestForm.monthlyMode === 'nth' && (
+                    <div className="grid grid-cols-2 gap-2">
+                      <select
+                        value={newQuestForm.nth}
+                        onChange={(e) =>
+                          setNewQuestForm((prev) => ({ ...prev, nth: Number(e.target.value) }))
+                        }
+                        className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
+                      >
+                        {NTH_OPTIONS.map((option) => (
+                          <option value={option.value} key={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                      <select
+                        value={newQuestForm.weekday}
+                        onChange={(e) =>
+                          setNewQuestForm((prev) => ({ ...prev, weekday: Number(e.target.value) }))
+                        }
+                        className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
+                      >
+                        {WEEKDAY_LABELS.map((label, day) => (
+                          <option value={day} key={label}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </div>
+              )}
+              {newQuestForm.frequencyType !== 'once' && (
+                <select
+                  value={newQuestForm.anchor}
+                  onChange={(e) => setNewQuestForm((prev) => ({ ...prev, anchor: e.target.value }))}
+                  className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs mt-2"
+                >
+                  <option value="completion">Count from each completion</option>
+                  <option value="calendar">Keep a fixed calendar</option>
+                </select>
+              )}
+              <p className="text-[8px] text-[#90DCFF] mt-1">
+                {describeRecurrence(
+                  normalizeRecurrence({ recurrence: buildRecurrenceFromForm(newQuestForm, null) })
+                )}
+              </p>
+            </div>
+            <div>
+              <label className="text-[10px] uppercase tracking-[0.2em] text-[#FDFB76] block mb-2">
+                Assignment
+              </label>
+              <select
+                value={newQuestForm.assignmentMode}
+                onChange={(e) =>
+                  setNewQuestForm((prev) => ({ ...prev, assignmentMode: e.target.value }))
+                }
+                className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
+              >
+                <option value="open">Open to anyone</option>
+                <option value="rotation">Rotate through members</option>
+                <option value="pinned">Pinned to one member</option>
+              </select>
+              {newQuestForm.assignmentMode !== 'open' && (
+                <div className="flex gap-1 flex-wrap mt-2">
+                  {users.map((u) => {
+                    const position = newQuestForm.assignmentMemberIds.indexOf(u.id);
+                    const selected = position !== -1;
+                    return (
+                      <button
+                        key={u.id}
+                        type="button"
+                        onClick={() =>
+                          setNewQuestForm((prev) => {
+                            if (selected) {
+                              return {
+                                ...prev,
+                                assignmentMemberIds: prev.assignmentMemberIds.filter(
+                                  (id) => id !== u.id
+                                ),
+                              };
+                            }
+                            return {
+                              ...prev,
+                              assignmentMemberIds:
+                                prev.assignmentMode === 'pinned'
+                                  ? [u.id]
+                                  : [...prev.assignmentMemberIds, u.id],
+                            };
+                          })
+                        }
+                        className={`border-2 border-black px-2 py-1 text-[10px] ${
+                          selected ? 'bg-[#E10086] text-white' : 'bg-black text-[#90DCFF]'
+                        }`}
+                      >
+                        {newQuestForm.assignmentMode === 'rotation' && selected
+                          ? `${position + 1}. `
+                          : ''}
+                        {u.display_name || u.id}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+              {newQuestForm.assignmentMode === 'rotation' && (
+                <p className="text-[8px] text-[#90DCFF] mt-1">
+                  Turns follow the order you pick members in.
+                </p>
+              )}
             </div>
             <div className="flex gap-2 justify-end pt-2">
               <button
-                onClick={() => setNewQuestModal(false)}
+                onClick={closeQuestModal}
                 className="border-4 border-black bg-gray-500 text-white px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000]"
               >
                 Cancel
               </button>
               <button
-                onClick={handleCreateQuest}
+                onClick={editingQuestId ? handleUpdateQuest : handleCreateQuest}
                 className="border-4 border-black bg-[#00DB96] text-black px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000]"
               >
                 Save Quest
@@ -1857,15 +5203,159 @@ const QuestManager = ({ appId = 'default-app' }) => {
         </div>
       )}
 
+      {swapModal.open && swapModal.quest && (
+        <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50">
+          <div className="bg-[#12091f] border-[3px] border-[#49297E] shadow-[0_0_0_3px_#000,0_8px_0_#000] w-full max-w-md p-6 space-y-4 text-white">
+            <h3 className="text-2xl text-[#FDE48A] tracking-[0.2em]">Swap Turn</h3>
+            <p className="text-[#90DCFF] text-xs">
+              Ask someone to take {swapModal.quest.title} this time.
+            </p>
+            <select
+              value={swapForm.toId}
+              onChange={(e) => setSwapForm({ toId: e.target.value, tradeQuestId: '' })}
+              className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
+            >
+              <option value="">Select player</option>
+              {users
+                .filter((u) => u.id !== currentUser.uid)
+                .map((u) => (
+                  <option key={u.id} value={u.id}>
+                    {u.display_name || u.id}
+                  </option>
+                ))}
+            </select>
+            {swapForm.toId && (
+              <select
+                value={swapForm.tradeQuestId}
+                onChange={(e) => setSwapForm((prev) => ({ ...prev, tradeQuestId: e.target.value }))}
+                className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
+              >
+                <option value="">Nothing in return</option>
+                {quests
+                  .filter(
+                    (q) => q.assigneeId === swapForm.toId && q.id !== swapModal.quest.id
+                  )
+                  .map((q) => (
+                    <option key={q.id} value={q.id}>
+                      I&apos;ll take their {q.title}
+                    </option>
+                  ))}
+              </select>
+            )}
+            {swapError && <p className="text-[#E10086] text-xs">{swapError}</p>}
+            <div className="flex gap-2 justify-end pt-2">
+              <button
+                onClick={closeSwapModal}
+                className="border-4 border-black bg-gray-500 text-white px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000]"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSendSwapRequest}
+                disabled={!swapForm.toId}
+                className="border-4 border-black bg-[#00DB96] text-black px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000] disabled:opacity-50"
+              >
+                Send Request
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {householdModal && (
+        <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50">
+          <div className="bg-[#12091f] border-[3px] border-[#49297E] shadow-[0_0_0_3px_#000,0_8px_0_#000] w-full max-w-md p-6 space-y-4 text-white">
+            <h3 className="text-2xl text-[#FDE48A] tracking-[0.2em]">New Household</h3>
+            <input
+              type="text"
+              placeholder="Household name"
+              value={householdName}
+              onChange={(e) => setHouseholdName(e.target.value)}
+              className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
+            />
+            <div className="flex gap-2 justify-end pt-2">
+              <button
+                onClick={() => setHouseholdModal(false)}
+                className="border-4 border-black bg-gray-500 text-white px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000]"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleCreateHousehold}
+                disabled={creatingHousehold}
+                className={`border-4 border-black bg-[#00DB96] text-black px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000] ${
+                  creatingHousehold ? 'opacity-60' : ''
+                }`}
+              >
+                {creatingHousehold ? 'Creating...' : 'Create'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {levelUpCelebration && (
+        <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50">
+          <div className="bg-[#12091f] border-[3px] border-[#FDFB76] shadow-[0_0_0_3px_#000,0_8px_0_#000] w-full max-w-md p-6 space-y-4 text-white text-center">
+            <h3 className="text-3xl text-[#FDFB76] tracking-[0.3em] animate-pulse">LEVEL UP!</h3>
+            <p className="text-[#90DCFF] text-xs">
+              {levelUpCelebration.name} reached level {levelUpCelebration.to}
+            </p>
+            <p className="text-[#00DB96] text-lg uppercase tracking-[0.2em]">
+              {levelUpCelebration.title}
+            </p>
+            <button
+              onClick={() => setLevelUpCelebration(null)}
+              className="border-4 border-black bg-[#E10086] text-white px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000]"
+            >
+              Onward
+            </button>
+          </div>
+        </div>
+      )}
+
+      {correctionModal.open && correctionModal.entry && (
+        <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50">
+          <div className="bg-[#12091f] border-[3px] border-[#49297E] shadow-[0_0_0_3px_#000,0_8px_0_#000] w-full max-w-md p-6 space-y-4 text-white">
+            <h3 className="text-2xl text-[#FDE48A] tracking-[0.2em]">Void Completion</h3>
+            <p className="text-[#90DCFF] text-xs">
+              {correctionModal.entry.questTitle} by{' '}
+              {correctionModal.entry.completedByName || correctionModal.entry.completedById} ·{' '}
+              {correctionModal.entry.xpAwarded || 0} XP will be taken back and the quest restored
+              to its previous due date.
+            </p>
+            <textarea
+              value={correctionReason}
+              onChange={(e) => setCorrectionReason(e.target.value)}
+              placeholder="Reason (e.g., wrong player)"
+              className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs min-h-[80px]"
+            />
+            <div className="flex gap-2 justify-end pt-2">
+              <button
+                onClick={() => setCorrectionModal({ open: false, entry: null })}
+                className="border-4 border-black bg-gray-500 text-white px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000]"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirmCorrection}
+                disabled={voidingEntryId === correctionModal.entry.id}
+                className="border-4 border-black bg-[#E10086] text-white px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000]"
+              >
+                Void Entry
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {completionModal.open && (
         <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50">
           <div className="bg-[#12091f] border-[3px] border-[#49297E] shadow-[0_0_0_3px_#000,0_8px_0_#000] w-full max-w-md p-6 space-y-4 text-white">
             <h3 className="text-2xl text-[#FDE48A] tracking-[0.2em]">
               Complete Quest
             </h3>
-            <p className="text-[#90DCFF] text-xs">
-              {chores.find((q) => q.id === completionModal.choreId)?.title || 'Quest'}
-            </p>
+            <p className="text-[#90DCFF] text-xs">{completionQuest?.title || 'Quest'}</p>
             <select
               value={completionUserId}
               onChange={(e) => setCompletionUserId(e.target.value)}
@@ -1878,24 +5368,107 @@ const QuestManager = ({ appId = 'default-app' }) => {
                 </option>
               ))}
             </select>
+            {completionQuest?.assigneeId && completionQuest.assigneeId !== completionUserId && (
+              <p className="text-[#FDE48A] text-[10px]">
+                This turn is {getMemberName(completionQuest.assigneeId)}&apos;s.{' '}
+                {isHouseholdAdmin(activeHousehold, currentUser.uid)
+                  ? 'Crediting someone else still moves the rotation on to the next member.'
+                  : 'Only a household admin can credit someone else.'}
+              </p>
+            )}
+            {completionQuest?.checklist.length > 0 ? (
+              <p className="text-gray-300 text-[10px]">
+                XP is split by checklist steps. Steps nobody ticked go to this player.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                <p className="text-[10px] uppercase tracking-[0.2em] text-[#FDFB76]">
+                  Helped by
+                </p>
+                <div className="flex flex-wrap gap-3">
+                  {users
+                    .filter((u) => u.id !== completionUserId)
+                    .map((u) => (
+                      <label key={u.id} className="flex items-center gap-2 text-xs text-[#90DCFF]">
+                        <input
+                          type="checkbox"
+                          checked={completionHelperIds.includes(u.id)}
+                          onChange={() => toggleCompletionHelper(u.id)}
+                        />
+                        {u.display_name || u.id}
+                      </label>
+                    ))}
+                </div>
+                {completionPreview.length > 1 && (
+                  <>
+                    <select
+                      value={completionSplitMode}
+                      onChange={(e) => setCompletionSplitMode(e.target.value)}
+                      className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
+                    >
+                      <option value="even">Split XP evenly</option>
+                      <option value="shares">Split XP by share</option>
+                    </select>
+                    {completionPreview.map((share) => (
+                      <div
+                        key={share.userId}
+                        className="flex items-center justify-between gap-2 text-xs text-[#90DCFF]"
+                      >
+                        <span className="flex-1">{getMemberName(share.userId)}</span>
+                        {completionSplitMode === 'shares' && (
+                          <input
+                            type="number"
+                            min={0}
+                            value={completionWeights[share.userId] ?? 1}
+                            onChange={(e) =>
+                              setCompletionWeights((prev) => ({
+                                ...prev,
+                                [share.userId]: e.target.value,
+                              }))
+                            }
+                            className="w-16 bg-black border-2 border-[#90DCFF] px-2 py-1 text-xs"
+                          />
+                        )}
+                        <span>
+                          {completionWeightsInvalid ? '—' : `${share.xp} XP · ${share.percent}%`}
+                        </span>
+                      </div>
+                    ))}
+                    {completionWeightsInvalid ? (
+                      <p className="text-[#E10086] text-[10px]">
+                        Give every player a share above 0.
+                      </p>
+                    ) : (
+                      <p className="text-gray-300 text-[10px]">
+                        Before fairness boosts or reductions for each player.
+                      </p>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
             <textarea
               value={notes}
               onChange={(e) => setNotes(e.target.value)}
               placeholder="Notes (optional)"
               className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs min-h-[80px]"
             />
+            {completionError && <p className="text-[#E10086] text-xs">{completionError}</p>}
             <div className="flex gap-2 justify-end pt-2">
               <button
-                onClick={() => setCompletionModal({ open: false, choreId: null })}
+                onClick={closeCompletionModal}
                 className="border-4 border-black bg-gray-500 text-white px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000]"
               >
                 Cancel
               </button>
               <button
                 onClick={handleConfirmCompletion}
-                className="border-4 border-black bg-[#00DB96] text-black px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000]"
+                disabled={completing || completionWeightsInvalid}
+                className={`border-4 border-black bg-[#00DB96] text-black px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000] ${
+                  completing || completionWeightsInvalid ? 'opacity-60' : ''
+                }`}
               >
-                Apply XP
+                {completing ? 'Applying...' : 'Apply XP'}
               </button>
             </div>
           </div>
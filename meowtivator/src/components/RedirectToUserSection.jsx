@@ -1,6 +1,7 @@
 import React from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { getUserSectionPath } from '../utils/routeHelpers';
 
 const LoadingScreen = ({ message = 'Loading...' }) => (
   <div className="min-h-screen bg-gradient-to-b from-blue-400 to-purple-600 flex items-center justify-center font-pixel">
@@ -10,6 +11,7 @@ const LoadingScreen = ({ message = 'Loading...' }) => (
 
 const RedirectToUserSection = ({ section = 'dashboard' }) => {
   const { currentUser, loading } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return <LoadingScreen />;
@@ -19,13 +21,9 @@ const RedirectToUserSection = ({ section = 'dashboard' }) => {
     return <Navigate to="/login" replace />;
   }
 
-  const normalizedSection = ['dashboard', 'focus', 'history'].includes(section)
-    ? section
-    : 'dashboard';
-
-  return <Navigate to={`/users/${currentUser.uid}/${normalizedSection}`} replace />;
+  // Keep the query string so OAuth callbacks (e.g. Spotify's ?code=) survive the redirect.
+  const target = `${getUserSectionPath(currentUser.uid, section)}${location.search}`;
+  return <Navigate to={target} replace />;
 };
 
 export default RedirectToUserSection;
-
-
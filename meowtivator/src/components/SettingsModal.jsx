@@ -1,24 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import { doc, getDoc, updateDoc } from 'firebase/firestore';
 import { db } from '../firebase';
+import { getHouseholdCollectionPath } from '../utils/householdHelpers';
 
-const SettingsModal = ({ isOpen, onClose, userId, appId }) => {
+const SettingsModal = ({ isOpen, onClose, userId, appId, householdId }) => {
   const [fairnessThreshold, setFairnessThreshold] = useState(1000);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [saving, setSaving] = useState(false);
 
   useEffect(() => {
-    if (isOpen && userId && appId) {
+    if (isOpen && userId && appId && householdId) {
       loadFairnessThreshold();
     }
-  }, [isOpen, userId, appId]);
+  }, [isOpen, userId, appId, householdId]);
 
   const loadFairnessThreshold = async () => {
     try {
       setLoading(true);
       setError(null);
-      const userRef = doc(db, 'artifacts', appId, 'public', 'data', 'users', userId);
+      const userRef = doc(db, ...getHouseholdCollectionPath(appId, householdId, 'users'), userId);
       const userSnap = await getDoc(userRef);
       
       if (userSnap.exists()) {
@@ -37,8 +38,8 @@ const SettingsModal = ({ isOpen, onClose, userId, appId }) => {
   };
 
   const handleSave = async () => {
-    if (!userId || !appId) {
-      setError('User ID or App ID is missing');
+    if (!userId || !appId || !householdId) {
+      setError('User, App or Household ID is missing');
       return;
     }
 
@@ -51,7 +52,7 @@ const SettingsModal = ({ isOpen, onClose, userId, appId }) => {
     try {
       setSaving(true);
       setError(null);
-      const userRef = doc(db, 'artifacts', appId, 'public', 'data', 'users', userId);
+      const userRef = doc(db, ...getHouseholdCollectionPath(appId, householdId, 'users'), userId);
       await updateDoc(userRef, {
         fairness_threshold: threshold
       });
@@ -0,0 +1,289 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import {
+  collection,
+  deleteField,
+  doc,
+  getDoc,
+  getDocs,
+  onSnapshot,
+  query,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  where,
+  writeBatch,
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { useAuth } from './AuthContext';
+import {
+  buildMemberDoc,
+  getDefaultDisplayName,
+  getFriendCodesPath,
+  getHouseholdCollectionPath,
+  getHouseholdsPath,
+  getLegacyCollectionPath,
+  getLegacyDataPath,
+  LEGACY_COLLECTIONS,
+  normalizeFriendCode,
+} from '../utils/householdHelpers';
+
+// Firestore caps a batch at 500 writes.
+const IMPORT_BATCH_SIZE = 400;
+
+// A claim on the shared pool stands once its household exists. Until then
+// only the player who claimed it may pick the import back up.
+const canClaimLegacyData = (migration, householdExists, userId) =>
+  !migration?.migratedToHouseholdId || (!householdExists && migration.migratedById === userId);
+
+const commitInBatches = async (refs, write) => {
+  for (let start = 0; start < refs.length; start += IMPORT_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    refs.slice(start, start + IMPORT_BATCH_SIZE).forEach((item) => write(batch, item));
+    await batch.commit();
+  }
+};
+
+const HouseholdContext = createContext({
+  households: [],
+  activeHousehold: null,
+  loading: true,
+  switchHousehold: () => {},
+  createHousehold: async () => null,
+  requestToJoinHousehold: async () => null,
+  legacyImportAvailable: false,
+  importLegacyHousehold: async () => null,
+});
+
+const activeHouseholdStorageKey = (uid) => `meow-active-household-${uid}`;
+
+export const HouseholdProvider = ({ appId, children }) => {
+  const { currentUser } = useAuth();
+  const [households, setHouseholds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeHouseholdId, setActiveHouseholdId] = useState(null);
+  const [legacyImportAvailable, setLegacyImportAvailable] = useState(false);
+
+  useEffect(() => {
+    if (!currentUser || !appId) {
+      setHouseholds([]);
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    if (typeof window !== 'undefined') {
+      setActiveHouseholdId(
+        localStorage.getItem(activeHouseholdStorageKey(currentUser.uid)) || null
+      );
+    }
+    const householdsQuery = query(
+      collection(db, ...getHouseholdsPath(appId)),
+      where('memberIds', 'array-contains', currentUser.uid)
+    );
+    const unsubscribe = onSnapshot(
+      householdsQuery,
+      (snapshot) => {
+        const data = snapshot.docs
+          .map((docSnap) => ({
+            id: docSnap.id,
+            ...docSnap.data(),
+          }))
+          .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        setHouseholds(data);
+        setLoading(false);
+      },
+      (error) => {
+        console.error('Error loading households', error);
+        setLoading(false);
+      }
+    );
+    return () => unsubscribe();
+  }, [currentUser, appId]);
+
+  // Players from before households still have their progress in the shared
+  // pool; offer to bring it over until someone has imported it.
+  const hasHouseholds = households.length > 0;
+  useEffect(() => {
+    if (!currentUser || !appId || loading || hasHouseholds) {
+      setLegacyImportAvailable(false);
+      return undefined;
+    }
+    let cancelled = false;
+    Promise.all([
+      getDoc(doc(db, ...getLegacyCollectionPath(appId, 'users'), currentUser.uid)),
+      getDoc(doc(db, ...getLegacyDataPath(appId))),
+    ])
+      .then(async ([memberSnap, dataSnap]) => {
+        const migration = dataSnap.data();
+        const householdSnap = migration?.migratedToHouseholdId
+          ? await getDoc(doc(db, ...getHouseholdsPath(appId), migration.migratedToHouseholdId))
+          : null;
+        if (cancelled) return;
+        setLegacyImportAvailable(
+          memberSnap.exists() &&
+            canClaimLegacyData(migration, householdSnap?.exists(), currentUser.uid)
+        );
+      })
+      .catch((error) => console.error('Error checking for legacy data', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser, appId, loading, hasHouseholds]);
+
+  const switchHousehold = (householdId) => {
+    setActiveHouseholdId(householdId);
+    if (typeof window !== 'undefined' && currentUser) {
+      localStorage.setItem(activeHouseholdStorageKey(currentUser.uid), householdId);
+    }
+  };
+
+  const createHousehold = async (name) => {
+    if (!currentUser || !appId || !name.trim()) return null;
+    const householdRef = doc(collection(db, ...getHouseholdsPath(appId)));
+    const memberRef = doc(
+      db,
+      ...getHouseholdCollectionPath(appId, householdRef.id, 'users'),
+      currentUser.uid
+    );
+    const batch = writeBatch(db);
+    batch.set(householdRef, {
+      name: name.trim(),
+      createdById: currentUser.uid,
+      createdAt: serverTimestamp(),
+      memberIds: [currentUser.uid],
+      adminIds: [currentUser.uid],
+    });
+    batch.set(memberRef, buildMemberDoc(currentUser));
+    await batch.commit();
+    switchHousehold(householdRef.id);
+    return householdRef.id;
+  };
+
+  // Copies the shared pool into a new household with every old player as a
+  // member. The pool is claimed before anything is copied, so a second player
+  // or a repeat click stops there, and the household is only created once the
+  // copy is complete. A failed copy is removed again and the claim released.
+  const importLegacyHousehold = async (name) => {
+    if (!currentUser || !appId) return null;
+    const dataRef = doc(db, ...getLegacyDataPath(appId));
+    const householdId = await runTransaction(db, async (transaction) => {
+      const dataSnap = await transaction.get(dataRef);
+      const migration = dataSnap.data();
+      const claimedRef = migration?.migratedToHouseholdId
+        ? doc(db, ...getHouseholdsPath(appId), migration.migratedToHouseholdId)
+        : null;
+      const claimedSnap = claimedRef ? await transaction.get(claimedRef) : null;
+      if (!canClaimLegacyData(migration, claimedSnap?.exists(), currentUser.uid)) {
+        throw new Error('Another player already imported the old quests.');
+      }
+      // Our own earlier import broke off before the household existed; reuse it.
+      const id = claimedRef ? claimedRef.id : doc(collection(db, ...getHouseholdsPath(appId))).id;
+      transaction.set(
+        dataRef,
+        {
+          migratedToHouseholdId: id,
+          migratedById: currentUser.uid,
+          migratedAt: serverTimestamp(),
+        },
+        { merge: true }
+      );
+      return id;
+    });
+    const householdRef = doc(db, ...getHouseholdsPath(appId), householdId);
+    let writes = [];
+    try {
+      const snapshots = await Promise.all(
+        LEGACY_COLLECTIONS.map((collectionName) =>
+          getDocs(collection(db, ...getLegacyCollectionPath(appId, collectionName)))
+        )
+      );
+      writes = snapshots.flatMap((snapshot, index) =>
+        snapshot.docs.map((docSnap) => ({
+          ref: doc(
+            db,
+            ...getHouseholdCollectionPath(appId, householdId, LEGACY_COLLECTIONS[index]),
+            docSnap.id
+          ),
+          data: docSnap.data(),
+        }))
+      );
+      await commitInBatches(writes, (batch, { ref, data }) => batch.set(ref, data));
+      const memberIds = [
+        ...new Set([currentUser.uid, ...snapshots[0].docs.map((docSnap) => docSnap.id)]),
+      ];
+      await setDoc(householdRef, {
+        name: name.trim() || 'Home',
+        createdById: currentUser.uid,
+        createdAt: serverTimestamp(),
+        memberIds,
+        adminIds: [currentUser.uid],
+      });
+    } catch (error) {
+      await commitInBatches(writes, (batch, { ref }) => batch.delete(ref));
+      await setDoc(
+        dataRef,
+        {
+          migratedToHouseholdId: deleteField(),
+          migratedById: deleteField(),
+          migratedAt: deleteField(),
+        },
+        { merge: true }
+      );
+      throw error;
+    }
+    switchHousehold(householdId);
+    return householdId;
+  };
+
+  const requestToJoinHousehold = async (input) => {
+    if (!currentUser || !appId) return null;
+    const code = normalizeFriendCode(input);
+    if (!code) {
+      throw new Error('Enter a friend code.');
+    }
+    const codeSnap = await getDoc(doc(db, ...getFriendCodesPath(appId), code));
+    if (!codeSnap.exists()) {
+      throw new Error('That friend code is not valid.');
+    }
+    const invite = codeSnap.data();
+    if (invite.ownerId === currentUser.uid) {
+      throw new Error('That is your own friend code.');
+    }
+    if (households.some((household) => household.id === invite.householdId)) {
+      throw new Error(`You are already a member of ${invite.householdName || 'that household'}.`);
+    }
+    const requestRef = doc(
+      db,
+      ...getHouseholdCollectionPath(appId, invite.householdId, 'join_requests'),
+      currentUser.uid
+    );
+    await setDoc(requestRef, {
+      requesterId: currentUser.uid,
+      requesterName: getDefaultDisplayName(currentUser),
+      code,
+      codeOwnerId: invite.ownerId,
+      status: 'pending',
+      createdAt: serverTimestamp(),
+    });
+    return invite;
+  };
+
+  const activeHousehold =
+    households.find((household) => household.id === activeHouseholdId) ||
+    households[0] ||
+    null;
+
+  const value = {
+    households,
+    activeHousehold,
+    loading,
+    switchHousehold,
+    createHousehold,
+    requestToJoinHousehold,
+    legacyImportAvailable,
+    importLegacyHousehold,
+  };
+
+  return <HouseholdContext.Provider value={value}>{children}</HouseholdContext.Provider>;
+};
+
+export const useHousehold = () => useContext(HouseholdContext);
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { signOut } from 'firebase/auth';
+import { auth } from '../firebase';
+import { useHousehold } from '../context/HouseholdContext';
+
+const HouseholdSetupPage = () => {
+  const {
+    createHousehold,
+    requestToJoinHousehold,
+    legacyImportAvailable,
+    importLegacyHousehold,
+  } = useHousehold();
+  const [householdName, setHouseholdName] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [joinCode, setJoinCode] = useState('');
+  const [joining, setJoining] = useState(false);
+  const [joinMessage, setJoinMessage] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const handleCreate = async () => {
+    if (!householdName.trim()) return;
+    setCreating(true);
+    setError(null);
+    try {
+      await createHousehold(householdName);
+    } catch (err) {
+      console.error('Error creating household', err);
+      setError('Failed to create household. Please try again.');
+      setCreating(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError(null);
+    try {
+      await importLegacyHousehold(householdName);
+    } catch (err) {
+      console.error('Error importing quests', err);
+      setError(err.message || 'Failed to import your quests. Please try again.');
+      setImporting(false);
+    }
+  };
+
+  const handleJoin = async () => {
+    setJoining(true);
+    setError(null);
+    setJoinMessage(null);
+    try {
+      const invite = await requestToJoinHousehold(joinCode);
+      setJoinCode('');
+      setJoinMessage(
+        `Request sent! ${invite.ownerName || 'The code owner'} needs to approve it before you can join ${
+          invite.householdName || 'their household'
+        }.`
+      );
+    } catch (err) {
+      console.error('Error requesting to join household', err);
+      setError(err.message || 'Failed to send join request.');
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-blue-400 to-purple-600 flex items-center justify-center font-pixel">
+      <div className="bg-[#12091f] border-[3px] border-[#49297E] shadow-[0_0_0_3px_#000,0_8px_0_#000] max-w-md w-full mx-4 p-6 space-y-4 text-white">
+        <h1 className="text-2xl text-[#FDE48A] tracking-[0.2em]">Start a Household</h1>
+        <p className="text-[#90DCFF] text-xs">
+          Quests, leaderboards and the fairness meter are shared with the members of your
+          household.
+        </p>
+
+        {error && <p className="text-[#E10086] text-xs">{error}</p>}
+
+        {legacyImportAvailable && (
+          <div className="border-4 border-[#251744] p-3 space-y-3">
+            <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">Welcome back</p>
+            <p className="text-[#90DCFF] text-xs">
+              Your quests, history, XP and coins are from before households. Import them into a
+              new household (named below) and everyone who played with you joins it too.
+            </p>
+            <div className="flex justify-end">
+              <button
+                onClick={handleImport}
+                disabled={importing || creating}
+                className="border-4 border-black bg-[#FDFB76] text-black px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000] disabled:opacity-50"
+              >
+                {importing ? 'Importing...' : 'Import My Quests'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <input
+          type="text"
+          placeholder="Household name"
+          value={householdName}
+          onChange={(e) => setHouseholdName(e.target.value)}
+          className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs"
+        />
+        <div className="flex justify-end">
+          <button
+            onClick={handleCreate}
+            disabled={creating || !householdName.trim()}
+            className="border-4 border-black bg-[#00DB96] text-black px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000] disabled:opacity-50"
+          >
+            {creating ? 'Creating...' : 'Create Household'}
+          </button>
+        </div>
+
+        <div className="border-t-4 border-[#251744] pt-4 space-y-3">
+          <p className="text-[#FDFB76] text-xs uppercase tracking-[0.2em]">
+            Or join with a friend code
+          </p>
+          {joinMessage && <p className="text-[#00DB96] text-xs">{joinMessage}</p>}
+          <input
+            type="text"
+            placeholder="ABCD-2345"
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value)}
+            className="w-full bg-black border-2 border-[#90DCFF] px-3 py-2 text-xs uppercase"
+          />
+          <div className="flex justify-end">
+            <button
+              onClick={handleJoin}
+              disabled={joining || !joinCode.trim()}
+              className="border-4 border-black bg-[#5176fd] text-white px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000] disabled:opacity-50"
+            >
+              {joining ? 'Sending...' : 'Request to Join'}
+            </button>
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            onClick={() => signOut(auth)}
+            className="border-4 border-black bg-gray-500 text-white px-4 py-2 text-xs tracking-[0.2em] uppercase shadow-[3px_3px_0_#000]"
+          >
+            Sign Out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HouseholdSetupPage;
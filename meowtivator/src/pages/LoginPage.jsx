@@ -6,9 +6,8 @@ import {
   browserLocalPersistence,
   browserSessionPersistence,
 } from 'firebase/auth';
-import { auth, appId as firebaseAppId, db } from '../firebase';
+import { auth } from '../firebase';
 import { useAuth } from '../context/AuthContext';
-import { doc, getDoc, setDoc } from 'firebase/firestore';
 
 const LoginPage = () => {
   const { currentUser, loading } = useAuth();
@@ -20,25 +19,6 @@ const LoginPage = () => {
   });
   const provider = new GoogleAuthProvider();
 
-  const ensureUserDocument = async (user) => {
-    if (!firebaseAppId) return;
-    const userRef = doc(db, 'artifacts', firebaseAppId, 'public', 'data', 'users', user.uid);
-    const userSnap = await getDoc(userRef);
-
-    if (!userSnap.exists()) {
-      await setDoc(userRef, {
-        id: user.uid,
-        display_name: user.displayName || user.email?.split('@')[0] || 'Hero',
-        total_xp: 0,
-        weekly_xp: 0,
-        star_coins: 0,
-        currentWeek: Math.floor((Date.now() - new Date(2024, 0, 1).getTime()) / (7 * 24 * 60 * 60 * 1000)),
-        fairness_threshold: 1000,
-        monthly_xp_start: 0,
-      });
-    }
-  };
-
   useEffect(() => {
     if (typeof window !== 'undefined') {
       localStorage.setItem('meow-stay-signed-in', staySignedIn ? 'true' : 'false');
@@ -51,8 +31,7 @@ const LoginPage = () => {
     try {
       const persistence = staySignedIn ? browserLocalPersistence : browserSessionPersistence;
       await setPersistence(auth, persistence);
-      const result = await signInWithPopup(auth, provider);
-      await ensureUserDocument(result.user);
+      await signInWithPopup(auth, provider);
     } catch (err) {
       console.error('Sign-in error:', err);
       setError(err.message || 'Failed to sign in. Please try again.');
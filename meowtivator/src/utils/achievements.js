@@ -0,0 +1,132 @@
+import { coerceDate, getCompletionParticipantIds } from './questHelpers';
+import { getLevelForXp } from './levels';
+import { calculatePlayerStreaks } from './streaks';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Someone else's claim counts as stale once it has sat this long untouched.
+export const STALE_RESERVATION_HOURS = 12;
+const NIGHT_OWL_LAST_HOUR = 4;
+
+// Each tracker is fed one player's completions oldest first and returns the
+// best progress so far, so a badge never relocks once earned.
+const countTracker = (matches) => () => {
+  let count = 0;
+  return (entry) => {
+    if (matches(entry)) count += 1;
+    return count;
+  };
+};
+
+const longestFocusTracker = () => {
+  let best = 0;
+  return (entry) => {
+    best = Math.max(best, Math.floor((entry.focusDurationSeconds || 0) / 60));
+    return best;
+  };
+};
+
+// Usually the other player's claim has already lapsed and been released by the
+// time the quest is finished, so the lapsed claim counts as well as a live one.
+const isStaleRescue = (entry) =>
+  [
+    [entry.lapsedReservedById, entry.lapsedReservedAt],
+    [entry.reservedById, entry.previousQuestState?.reservedAt],
+  ].some(([reservedById, claimedAt]) => {
+    const reservedAt = coerceDate(claimedAt);
+    return Boolean(
+      reservedById &&
+        reservedById !== entry.completedById &&
+        reservedAt &&
+        entry.completedDate - reservedAt >= STALE_RESERVATION_HOURS * HOUR_MS
+    );
+  });
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-quest',
+    icon: '🗡️',
+    title: 'First Blood',
+    description: 'Complete your first quest.',
+    goal: 1,
+    createTracker: countTracker(() => true),
+  },
+  {
+    id: 'week-streak',
+    icon: '🔥',
+    title: 'Seven Day Siege',
+    description: 'Complete a quest on 7 days in a row.',
+    goal: 7,
+    // The same daily streak the dashboard shows, freeze tokens included.
+    fromHistory: (historyEntries, user) =>
+      calculatePlayerStreaks(historyEntries, user.id, user.streak_frozen_days || []).daily.best,
+  },
+  {
+    id: 'hard-hundred',
+    icon: '🐉',
+    title: 'Dragon Tamer',
+    description: 'Complete 100 hard quests.',
+    goal: 100,
+    createTracker: countTracker((entry) => entry.difficulty === 'hard'),
+  },
+  {
+    id: 'deep-focus',
+    icon: '🧘',
+    title: 'Deep Focus',
+    description: 'Log a single focus session of 60 minutes.',
+    goal: 60,
+    unit: 'min',
+    createTracker: longestFocusTracker,
+  },
+  {
+    id: 'night-owl',
+    icon: '🦉',
+    title: 'Night Owl',
+    description: 'Complete 5 quests between midnight and 5am.',
+    goal: 5,
+    createTracker: countTracker((entry) => entry.completedDate.getHours() <= NIGHT_OWL_LAST_HOUR),
+  },
+  {
+    id: 'rescuer',
+    icon: '🛟',
+    title: 'Quest Rescuer',
+    description: `Finish a quest someone else left reserved for ${STALE_RESERVATION_HOURS}h+.`,
+    goal: 1,
+    createTracker: countTracker(isStaleRescue),
+  },
+  {
+    id: 'veteran',
+    icon: '👑',
+    title: 'Veteran',
+    description: 'Reach level 10.',
+    goal: 10,
+    // Read straight from the player's total XP rather than from history.
+    fromUser: (user) => getLevelForXp(user?.total_xp || 0),
+  },
+];
+
+// Returns every achievement with the player's progress and, for unlocked ones
+// earned through a tracker, the completion that unlocked it.
+export const evaluateAchievements = (historyEntries = [], user = {}) => {
+  const entries = historyEntries
+    .filter((entry) => !entry.voided && getCompletionParticipantIds(entry).includes(user.id))
+    .map((entry) => ({ ...entry, completedDate: coerceDate(entry.completedAt) }))
+    .filter((entry) => entry.completedDate)
+    .sort((a, b) => a.completedDate - b.completedDate);
+
+  return ACHIEVEMENTS.map((achievement) => {
+    if (achievement.fromUser || achievement.fromHistory) {
+      const progress = achievement.fromUser
+        ? achievement.fromUser(user)
+        : achievement.fromHistory(historyEntries, user);
+      return { ...achievement, progress, unlocked: progress >= achievement.goal, unlockedAt: null };
+    }
+    const track = achievement.createTracker();
+    let progress = 0;
+    let unlockedAt = null;
+    entries.forEach((entry) => {
+      progress = track(entry);
+      if (!unlockedAt && progress >= achievement.goal) unlockedAt = entry.completedDate;
+    });
+    return { ...achievement, progress, unlocked: Boolean(unlockedAt), unlockedAt };
+  });
+};
@@ -0,0 +1,101 @@
+import { evaluateAchievements } from './achievements';
+import {
+  getCompletionClaims,
+  getDayKey,
+  isReservationExpired,
+  releaseLapsedReservation,
+} from './questHelpers';
+
+const entry = (day, overrides = {}) => ({
+  completedById: 'me',
+  completedAt: new Date(2025, 0, day, 18),
+  difficulty: 'easy',
+  ...overrides,
+});
+
+const byId = (results) => Object.fromEntries(results.map((result) => [result.id, result]));
+
+describe('evaluateAchievements', () => {
+  it('starts with everything locked', () => {
+    const results = evaluateAchievements([], { id: 'me' });
+    expect(results.every((result) => !result.unlocked)).toBe(true);
+    expect(byId(results)['first-quest']).toMatchObject({ progress: 0, unlockedAt: null });
+  });
+
+  it("only counts the player's live completions", () => {
+    const results = byId(
+      evaluateAchievements(
+        [entry(1, { voided: true }), entry(2, { completedById: 'other' }), entry(3)],
+        { id: 'me' }
+      )
+    );
+    expect(results['first-quest']).toMatchObject({ unlocked: true, progress: 1 });
+    expect(results['first-quest'].unlockedAt).toEqual(new Date(2025, 0, 3, 18));
+  });
+
+  it('counts completions the player helped with', () => {
+    const shared = entry(1, { completedById: 'other', participantIds: ['other', 'me'] });
+    expect(byId(evaluateAchievements([shared], { id: 'me' }))['first-quest'].unlocked).toBe(true);
+  });
+
+  it('tracks the longest daily streak', () => {
+    const days = [1, 2, 3, 3, 5, 6, 7, 8, 9, 10, 11];
+    const streak = byId(evaluateAchievements(days.map((day) => entry(day)), { id: 'me' }))[
+      'week-streak'
+    ];
+    expect(streak).toMatchObject({ unlocked: true, progress: 7 });
+  });
+
+  it('lets freeze tokens carry the streak badge like the dashboard streak', () => {
+    const days = [1, 2, 3, 5, 6, 7, 8];
+    const user = { id: 'me', streak_frozen_days: [getDayKey(new Date(2025, 0, 4))] };
+    const streak = byId(evaluateAchievements(days.map((day) => entry(day)), user))['week-streak'];
+    expect(streak).toMatchObject({ unlocked: true, progress: 7 });
+  });
+
+  it('recognises night owls, long focus and rescued reservations', () => {
+    const results = byId(
+      evaluateAchievements(
+        [
+          entry(1, { completedAt: new Date(2025, 0, 1, 1), focusDurationSeconds: 65 * 60 }),
+          entry(2, {
+            reservedById: 'other',
+            previousQuestState: { reservedAt: new Date(2025, 0, 1, 12) },
+          }),
+          entry(3, {
+            reservedById: 'other',
+            previousQuestState: { reservedAt: new Date(2025, 0, 3, 17) },
+          }),
+        ],
+        { id: 'me' }
+      )
+    );
+    expect(results['night-owl']).toMatchObject({ progress: 1, unlocked: false });
+    expect(results['deep-focus']).toMatchObject({ progress: 65, unlocked: true });
+    expect(results.rescuer).toMatchObject({ progress: 1, unlocked: true });
+  });
+
+  it('credits a rescue after the other claim lapsed and was released', () => {
+    const quest = {
+      id: 'q1',
+      reservedById: 'other',
+      reservedByName: 'Bob',
+      reservedAt: new Date(2025, 0, 1, 8),
+    };
+    const releaseAt = new Date(2025, 0, 2, 9);
+    expect(isReservationExpired(quest, 24, releaseAt)).toBe(true);
+    const released = { ...quest, ...releaseLapsedReservation(quest) };
+    expect(released.reservedById).toBeNull();
+
+    const completion = entry(2, { ...getCompletionClaims(released) });
+    const results = byId(evaluateAchievements([completion], { id: 'me' }));
+    expect(results.rescuer).toMatchObject({ progress: 1, unlocked: true });
+    const ownClaim = entry(2, { ...getCompletionClaims(released), completedById: 'other' });
+    expect(byId(evaluateAchievements([ownClaim], { id: 'other' })).rescuer.unlocked).toBe(false);
+  });
+
+  it("reads level badges from the player's stats", () => {
+    const results = byId(evaluateAchievements([], { id: 'me', total_xp: 20000 }));
+    expect(results.veteran).toMatchObject({ unlocked: true, progress: 13 });
+  });
+});
@@ -0,0 +1,47 @@
+// How a quest decides whose turn it is:
+//   open      anyone may reserve it
+//   pinned    always memberIds[0]
+//   rotation  memberIds[rotationIndex], moving on after every completion
+export const ASSIGNMENT_MODES = ['open', 'rotation', 'pinned'];
+
+export const normalizeAssignment = (assignment = {}) => ({
+  mode: ASSIGNMENT_MODES.includes(assignment.mode) ? assignment.mode : 'open',
+  memberIds: Array.isArray(assignment.memberIds) ? assignment.memberIds : [],
+  rotationIndex: Number(assignment.rotationIndex) || 0,
+  // An accepted swap hands a single occurrence to someone else; the rotation
+  // itself carries on as if the swap never happened.
+  overrideId: assignment.overrideId || null,
+  overrideOccurrenceId: assignment.overrideOccurrenceId || null,
+});
+
+const getScheduledAssigneeId = (assignment) => {
+  const { mode, memberIds, rotationIndex } = assignment;
+  if (mode === 'open' || !memberIds.length) return null;
+  if (mode === 'pinned') return memberIds[0];
+  return memberIds[rotationIndex % memberIds.length];
+};
+
+export const getAssigneeId = (assignment, occurrenceId) => {
+  if (assignment.mode === 'open' || !assignment.memberIds.length) return null;
+  if (assignment.overrideId && assignment.overrideOccurrenceId === occurrenceId) {
+    return assignment.overrideId;
+  }
+  return getScheduledAssigneeId(assignment);
+};
+
+export const advanceAssignment = (assignment) => {
+  const { mode, memberIds, rotationIndex } = assignment;
+  return {
+    ...assignment,
+    rotationIndex:
+      mode === 'rotation' && memberIds.length ? (rotationIndex + 1) % memberIds.length : 0,
+    overrideId: null,
+    overrideOccurrenceId: null,
+  };
+};
+
+// Who the rotation lands on after the current occurrence is done.
+export const getNextAssigneeId = (assignment) => {
+  if (assignment.mode !== 'rotation') return getScheduledAssigneeId(assignment);
+  return getScheduledAssigneeId(advanceAssignment(assignment));
+};
@@ -0,0 +1,70 @@
+import {
+  advanceAssignment,
+  getAssigneeId,
+  getNextAssigneeId,
+  normalizeAssignment,
+} from './assignment';
+
+describe('normalizeAssignment', () => {
+  it('defaults to an open quest', () => {
+    expect(normalizeAssignment(undefined)).toEqual({
+      mode: 'open',
+      memberIds: [],
+      rotationIndex: 0,
+      overrideId: null,
+      overrideOccurrenceId: null,
+    });
+  });
+});
+
+describe('getAssigneeId', () => {
+  it('has no assignee for open quests', () => {
+    expect(getAssigneeId(normalizeAssignment({ memberIds: ['a'] }), 'q_1')).toBeNull();
+  });
+
+  it('returns the pinned member', () => {
+    const pinned = normalizeAssignment({ mode: 'pinned', memberIds: ['a', 'b'] });
+    expect(getAssigneeId(pinned, 'q_1')).toBe('a');
+  });
+
+  it('walks the rotation and wraps around', () => {
+    const rotation = normalizeAssignment({
+      mode: 'rotation',
+      memberIds: ['a', 'b', 'c'],
+      rotationIndex: 4,
+    });
+    expect(getAssigneeId(rotation, 'q_1')).toBe('b');
+    expect(getNextAssigneeId(rotation)).toBe('c');
+  });
+
+  it('honours a swap only for the occurrence it was made for', () => {
+    const swapped = normalizeAssignment({
+      mode: 'rotation',
+      memberIds: ['a', 'b'],
+      overrideId: 'b',
+      overrideOccurrenceId: 'q_1',
+    });
+    expect(getAssigneeId(swapped, 'q_1')).toBe('b');
+    expect(getAssigneeId(swapped, 'q_2')).toBe('a');
+  });
+});
+
+describe('advanceAssignment', () => {
+  it('moves the rotation on and clears any swap', () => {
+    const next = advanceAssignment(
+      normalizeAssignment({
+        mode: 'rotation',
+        memberIds: ['a', 'b'],
+        rotationIndex: 1,
+        overrideId: 'a',
+        overrideOccurrenceId: 'q_1',
+      })
+    );
+    expect(next).toMatchObject({ rotationIndex: 0, overrideId: null, overrideOccurrenceId: null });
+  });
+
+  it('leaves pinned quests on the same member', () => {
+    const pinned = normalizeAssignment({ mode: 'pinned', memberIds: ['a'] });
+    expect(getAssigneeId(advanceAssignment(pinned), 'q_2')).toBe('a');
+  });
+});
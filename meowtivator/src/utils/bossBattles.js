@@ -0,0 +1,65 @@
+import { coerceDate } from './questHelpers';
+
+export const DEFAULT_BOSS_HP = 5000;
+export const DEFAULT_BOSS_DAYS = 7;
+
+export const normalizeBoss = (docData = {}) => ({
+  ...docData,
+  name: docData.name || 'Mystery Boss',
+  maxHp: Math.max(1, Number(docData.maxHp) || DEFAULT_BOSS_HP),
+  damage: Math.max(0, Number(docData.damage) || 0),
+  contributions: docData.contributions || {},
+  rewardTitle: docData.rewardTitle || '',
+  startsAt: coerceDate(docData.startsAt),
+  endsAt: coerceDate(docData.endsAt),
+  defeatedAt: coerceDate(docData.defeatedAt),
+});
+
+// 'upcoming' before the window opens, 'active' while it can be hit, then
+// 'defeated' or, if the deadline passed first, 'escaped'.
+export const getBossStatus = (boss, now = new Date()) => {
+  if (boss.defeatedAt || boss.damage >= boss.maxHp) return 'defeated';
+  if (boss.startsAt && now < boss.startsAt) return 'upcoming';
+  if (boss.endsAt && now > boss.endsAt) return 'escaped';
+  return 'active';
+};
+
+export const getActiveBoss = (bosses = [], now = new Date()) =>
+  bosses.find((boss) => getBossStatus(boss, now) === 'active') || null;
+
+// Firestore updates for hits landed together, as { userId: damage }. Damage
+// past the boss's remaining HP still counts towards each player's contribution.
+export const applyBossHits = (boss, hits, now = new Date()) => {
+  const updates = { damage: boss.damage };
+  Object.entries(hits).forEach(([userId, damage]) => {
+    updates.damage += damage;
+    updates[`contributions.${userId}`] = (boss.contributions[userId] || 0) + damage;
+  });
+  if (updates.damage >= boss.maxHp) {
+    updates.defeatedAt = now;
+  }
+  return updates;
+};
+
+// Takes voided hits back off a boss that is still being fought.
+export const revertBossHits = (boss, hits) => {
+  const updates = { damage: boss.damage };
+  Object.entries(hits).forEach(([userId, damage]) => {
+    updates.damage = Math.max(0, updates.damage - damage);
+    updates[`contributions.${userId}`] = Math.max(0, (boss.contributions[userId] || 0) - damage);
+  });
+  return updates;
+};
+
+export const getBossContributions = (boss, members = []) =>
+  members
+    .map((member) => {
+      const damage = boss.contributions[member.id] || 0;
+      return {
+        id: member.id,
+        name: member.display_name || member.id,
+        damage,
+        share: boss.damage ? Math.round((damage / boss.damage) * 100) : 0,
+      };
+    })
+    .sort((a, b) => b.damage - a.damage || a.name.localeCompare(b.name));
@@ -0,0 +1,76 @@
+import {
+  applyBossHits,
+  getActiveBoss,
+  getBossContributions,
+  getBossStatus,
+  normalizeBoss,
+  revertBossHits,
+} from './bossBattles';
+
+const boss = (overrides = {}) =>
+  normalizeBoss({
+    name: 'The Garage Kraken',
+    maxHp: 1000,
+    startsAt: new Date(2025, 0, 1),
+    endsAt: new Date(2025, 0, 8),
+    ...overrides,
+  });
+
+describe('getBossStatus', () => {
+  it('follows the battle window', () => {
+    expect(getBossStatus(boss(), new Date(2024, 11, 31))).toBe('upcoming');
+    expect(getBossStatus(boss(), new Date(2025, 0, 3))).toBe('active');
+    expect(getBossStatus(boss(), new Date(2025, 0, 9))).toBe('escaped');
+    expect(getBossStatus(boss({ damage: 1000 }), new Date(2025, 0, 9))).toBe('defeated');
+  });
+
+  it('finds the boss currently being fought', () => {
+    const bosses = [boss({ id: 'old', damage: 1000 }), boss({ id: 'live' })];
+    expect(getActiveBoss(bosses, new Date(2025, 0, 3)).id).toBe('live');
+    expect(getActiveBoss(bosses, new Date(2025, 0, 10))).toBeNull();
+  });
+});
+
+describe('applyBossHits', () => {
+  it('adds damage and marks the boss defeated at zero HP', () => {
+    const now = new Date(2025, 0, 4);
+    const hurt = boss({ damage: 900, contributions: { a: 900 } });
+    expect(applyBossHits(hurt, { b: 50 }, now)).toEqual({ damage: 950, 'contributions.b': 50 });
+    expect(applyBossHits(hurt, { a: 250 }, now)).toEqual({
+      damage: 1150,
+      'contributions.a': 1150,
+      defeatedAt: now,
+    });
+  });
+
+  it('lands and reverts hits from several players at once', () => {
+    const hurt = boss({ damage: 300, contributions: { a: 300 } });
+    const hits = { a: 60, b: 40 };
+    expect(applyBossHits(hurt, hits)).toEqual({
+      damage: 400,
+      'contributions.a': 360,
+      'contributions.b': 40,
+    });
+    expect(revertBossHits(hurt, hits)).toEqual({
+      damage: 200,
+      'contributions.a': 240,
+      'contributions.b': 0,
+    });
+  });
+});
+
+describe('getBossContributions', () => {
+  it('lists every member with their share of the damage', () => {
+    const hurt = boss({ damage: 400, contributions: { a: 100, b: 300 } });
+    const members = [
+      { id: 'a', display_name: 'Alice' },
+      { id: 'b', display_name: 'Bob' },
+      { id: 'c', display_name: 'Cat' },
+    ];
+    expect(getBossContributions(hurt, members)).toEqual([
+      { id: 'b', name: 'Bob', damage: 300, share: 75 },
+      { id: 'a', name: 'Alice', damage: 100, share: 25 },
+      { id: 'c', name: 'Cat', damage: 0, share: 0 },
+    ]);
+  });
+});
@@ -0,0 +1,57 @@
+import { splitXpByShares } from './questHelpers';
+
+export const normalizeChecklist = (checklist) =>
+  (Array.isArray(checklist) ? checklist : [])
+    .map((step, index) => ({
+      id: step?.id || `step-${index + 1}`,
+      label: String(step?.label || '').trim(),
+    }))
+    .filter((step) => step.label);
+
+export const createStepId = (checklist = []) => {
+  const highest = checklist.reduce((max, step) => {
+    const match = /^step-(\d+)$/.exec(step.id);
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return `step-${highest + 1}`;
+};
+
+// Steps with who ticked them; progress is keyed by step id.
+export const getChecklistSteps = (checklist = [], progress = {}) =>
+  checklist.map((step) => ({
+    ...step,
+    doneById: progress[step.id]?.doneById || null,
+    doneByName: progress[step.id]?.doneByName || null,
+  }));
+
+export const summarizeChecklistProgress = (checklist = [], progress = {}) => {
+  const done = checklist.filter((step) => progress[step.id]?.doneById).length;
+  return {
+    done,
+    total: checklist.length,
+    percent: checklist.length ? Math.round((done / checklist.length) * 100) : 0,
+  };
+};
+
+// Divides a completion's XP by the steps each player ticked. Steps nobody
+// ticked count as the completer's, and so does any rounding remainder, so the
+// shares always add up to totalXp. The completer's share comes first.
+export const splitXpBySteps = (totalXp, checklist = [], progress = {}, completerId) => {
+  if (!checklist.length) {
+    return [{ userId: completerId, stepIds: [], xp: totalXp }];
+  }
+  const stepsByUser = { [completerId]: [] };
+  checklist.forEach((step) => {
+    const userId = progress[step.id]?.doneById || completerId;
+    stepsByUser[userId] = [...(stepsByUser[userId] || []), step.id];
+  });
+  const participants = Object.entries(stepsByUser).map(([userId, stepIds]) => ({
+    userId,
+    weight: stepIds.length,
+  }));
+  return splitXpByShares(totalXp, participants).map((share) => ({
+    userId: share.userId,
+    stepIds: stepsByUser[share.userId],
+    xp: share.xp,
+  }));
+};
@@ -0,0 +1,75 @@
+import {
+  createStepId,
+  getChecklistSteps,
+  normalizeChecklist,
+  splitXpBySteps,
+  summarizeChecklistProgress,
+} from './checklists';
+
+const checklist = normalizeChecklist([
+  { id: 'step-1', label: 'Wipe counters' },
+  { id: 'step-2', label: 'Mop' },
+  { id: 'step-3', label: 'Clean fridge' },
+]);
+
+describe('normalizeChecklist', () => {
+  it('drops blank steps and fills missing ids', () => {
+    expect(normalizeChecklist([{ label: ' Mop ' }, { id: 'x', label: '' }])).toEqual([
+      { id: 'step-1', label: 'Mop' },
+    ]);
+    expect(normalizeChecklist(undefined)).toEqual([]);
+  });
+
+  it('creates ids after the highest existing step', () => {
+    expect(createStepId(checklist)).toBe('step-4');
+    expect(createStepId([])).toBe('step-1');
+  });
+});
+
+describe('checklist progress', () => {
+  const progress = { 'step-2': { doneById: 'bob', doneByName: 'Bob' } };
+
+  it('counts ticked steps', () => {
+    expect(summarizeChecklistProgress(checklist, progress)).toEqual({
+      done: 1,
+      total: 3,
+      percent: 33,
+    });
+  });
+
+  it('records who ticked each step', () => {
+    expect(getChecklistSteps(checklist, progress)[1]).toEqual({
+      id: 'step-2',
+      label: 'Mop',
+      doneById: 'bob',
+      doneByName: 'Bob',
+    });
+  });
+});
+
+describe('splitXpBySteps', () => {
+  it('gives everything to the completer without a checklist', () => {
+    expect(splitXpBySteps(100, [], {}, 'alice')).toEqual([
+      { userId: 'alice', stepIds: [], xp: 100 },
+    ]);
+  });
+
+  it('divides XP by steps and keeps the remainder with the completer', () => {
+    const progress = {
+      'step-1': { doneById: 'bob' },
+      'step-2': { doneById: 'alice' },
+    };
+    expect(splitXpBySteps(100, checklist, progress, 'alice')).toEqual([
+      { userId: 'alice', stepIds: ['step-2', 'step-3'], xp: 67 },
+      { userId: 'bob', stepIds: ['step-1'], xp: 33 },
+    ]);
+  });
+
+  it('keeps the completer in the split even when others did every step', () => {
+    const progress = Object.fromEntries(checklist.map((step) => [step.id, { doneById: 'bob' }]));
+    expect(splitXpBySteps(90, checklist, progress, 'alice')).toEqual([
+      { userId: 'alice', stepIds: [], xp: 0 },
+      { userId: 'bob', stepIds: ['step-1', 'step-2', 'step-3'], xp: 90 },
+    ]);
+  });
+});
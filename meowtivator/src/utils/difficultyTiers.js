@@ -0,0 +1,53 @@
+// Households can re-tune or add tiers; quests store only the tier id, so a
+// tier's XP change reaches every quest on that tier without touching its doc.
+export const DEFAULT_DIFFICULTY_TIERS = [
+  { id: 'easy', label: 'Easy', xp: 100 },
+  { id: 'medium', label: 'Medium', xp: 250 },
+  { id: 'hard', label: 'Hard', xp: 500 },
+];
+
+export const normalizeDifficultyTiers = (tiers) => {
+  const valid = (Array.isArray(tiers) ? tiers : [])
+    .filter((tier) => tier && tier.id && tier.label)
+    .map((tier) => ({
+      id: String(tier.id),
+      label: String(tier.label),
+      xp: Math.max(0, Math.round(Number(tier.xp) || 0)),
+    }));
+  return valid.length ? valid : DEFAULT_DIFFICULTY_TIERS;
+};
+
+export const createTierId = (label, existingTiers = []) => {
+  const base =
+    String(label || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'tier';
+  const taken = new Set(existingTiers.map((tier) => tier.id));
+  let id = base;
+  let suffix = 2;
+  while (taken.has(id)) {
+    id = `${base}-${suffix}`;
+    suffix += 1;
+  }
+  return id;
+};
+
+export const getQuestDifficulty = (docData = {}) =>
+  docData.difficulty || docData.difficulty_level || 'easy';
+
+// XP precedence: a per-quest override, then the household's tier value. Docs
+// written before overrides existed carry `xp`/`xp_value`; those only count as an
+// override when they differ from the preset the old create form would have stored.
+export const resolveQuestXp = (docData = {}, tiers = DEFAULT_DIFFICULTY_TIERS) => {
+  if (typeof docData.xpOverride === 'number') return docData.xpOverride;
+  const difficulty = getQuestDifficulty(docData);
+  if (!('xpOverride' in docData)) {
+    const legacyXp = docData.xp ?? docData.xp_value;
+    const legacyPreset = DEFAULT_DIFFICULTY_TIERS.find((tier) => tier.id === difficulty);
+    if (typeof legacyXp === 'number' && legacyXp !== legacyPreset?.xp) return legacyXp;
+  }
+  const tier = tiers.find((t) => t.id === difficulty);
+  return tier ? tier.xp : tiers[0]?.xp ?? DEFAULT_DIFFICULTY_TIERS[0].xp;
+};
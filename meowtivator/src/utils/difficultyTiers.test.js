@@ -0,0 +1,54 @@
+import {
+  createTierId,
+  DEFAULT_DIFFICULTY_TIERS,
+  normalizeDifficultyTiers,
+  resolveQuestXp,
+} from './difficultyTiers';
+
+const tiers = [
+  { id: 'trivial', label: 'Trivial', xp: 25 },
+  { id: 'easy', label: 'Easy', xp: 120 },
+  { id: 'epic', label: 'Epic', xp: 1000 },
+];
+
+describe('normalizeDifficultyTiers', () => {
+  it('falls back to the default tiers', () => {
+    expect(normalizeDifficultyTiers(undefined)).toBe(DEFAULT_DIFFICULTY_TIERS);
+    expect(normalizeDifficultyTiers([{ id: '', label: 'Broken' }])).toBe(DEFAULT_DIFFICULTY_TIERS);
+  });
+
+  it('cleans up stored tier values', () => {
+    expect(normalizeDifficultyTiers([{ id: 'epic', label: 'Epic', xp: '999.6' }])).toEqual([
+      { id: 'epic', label: 'Epic', xp: 1000 },
+    ]);
+  });
+});
+
+describe('createTierId', () => {
+  it('slugs the label and avoids clashes', () => {
+    expect(createTierId('Super Epic!', tiers)).toBe('super-epic');
+    expect(createTierId('Epic', tiers)).toBe('epic-2');
+    expect(createTierId('   ', tiers)).toBe('tier');
+  });
+});
+
+describe('resolveQuestXp', () => {
+  it('prefers a per-quest override', () => {
+    expect(resolveQuestXp({ difficulty: 'epic', xpOverride: 40 }, tiers)).toBe(40);
+  });
+
+  it('uses the household tier value so re-tuning reaches existing quests', () => {
+    expect(resolveQuestXp({ difficulty: 'epic', xpOverride: null }, tiers)).toBe(1000);
+    // Legacy doc that stored the old preset follows the re-tuned tier.
+    expect(resolveQuestXp({ difficulty: 'easy', xp: 100 }, tiers)).toBe(120);
+  });
+
+  it('keeps hand-set legacy XP values', () => {
+    expect(resolveQuestXp({ difficulty: 'easy', xp_value: 75 }, tiers)).toBe(75);
+    expect(resolveQuestXp({ difficulty_level: 'hard', xp: 300 }, tiers)).toBe(300);
+  });
+
+  it('falls back to the first tier for unknown difficulties', () => {
+    expect(resolveQuestXp({ difficulty: 'gone', xpOverride: null }, tiers)).toBe(25);
+  });
+});
@@ -0,0 +1,73 @@
+import { getWeekNumber } from './questHelpers';
+
+export const getHouseholdsPath = (appId) => ['artifacts', appId, 'households'];
+
+// Users, quests, history and standings all live under the household doc so each
+// household is its own data pool.
+export const getHouseholdCollectionPath = (appId, householdId, collectionName) => [
+  ...getHouseholdsPath(appId),
+  householdId,
+  collectionName,
+];
+
+// Before households existed everything lived in one shared pool under
+// public/data. That doc also records which household the pool was imported into.
+export const getLegacyDataPath = (appId) => ['artifacts', appId, 'public', 'data'];
+
+export const getLegacyCollectionPath = (appId, collectionName) => [
+  ...getLegacyDataPath(appId),
+  collectionName,
+];
+
+export const LEGACY_COLLECTIONS = ['users', 'chores', 'quest_history', 'weekly_standings'];
+
+// Friend codes are top-level so a code can be resolved before the person entering
+// it belongs to the owner's household.
+export const getFriendCodesPath = (appId) => ['artifacts', appId, 'friend_codes'];
+
+// No 0/O or 1/I so codes survive being read out loud.
+const FRIEND_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const FRIEND_CODE_LENGTH = 8;
+
+export const generateFriendCode = (random = Math.random) => {
+  let code = '';
+  for (let i = 0; i < FRIEND_CODE_LENGTH; i += 1) {
+    code += FRIEND_CODE_ALPHABET.charAt(Math.floor(random() * FRIEND_CODE_ALPHABET.length));
+  }
+  return code;
+};
+
+export const normalizeFriendCode = (input = '') =>
+  input.replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
+
+export const formatFriendCode = (code = '') => {
+  const normalized = normalizeFriendCode(code);
+  if (normalized.length !== FRIEND_CODE_LENGTH) return normalized;
+  return `${normalized.slice(0, 4)}-${normalized.slice(4)}`;
+};
+
+export const getDefaultDisplayName = (user) =>
+  user?.displayName || user?.email?.split('@')[0] || 'Hero';
+
+export const buildMemberDoc = (user, now = new Date()) => ({
+  id: user.uid,
+  display_name: getDefaultDisplayName(user),
+  avatarUrl: '',
+  total_xp: 0,
+  weekly_xp: 0,
+  star_coins: 0,
+  currentWeek: getWeekNumber(now),
+  fairness_threshold: 1000,
+  monthly_xp_start: 0,
+  monthly_start_month: `${now.getFullYear()}-${now.getMonth() + 1}`,
+  monthly_reward_title: '',
+});
+
+export const isHouseholdAdmin = (household, userId) =>
+  Boolean(household && userId && (household.adminIds || []).includes(userId));
+
+// Quest definitions can be changed by whoever created them or by a household admin.
+export const canManageQuest = (quest, household, userId) =>
+  Boolean(
+    quest && userId && (quest.createdById === userId || isHouseholdAdmin(household, userId))
+  );
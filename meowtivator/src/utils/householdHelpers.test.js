@@ -0,0 +1,89 @@
+import {
+  getHouseholdCollectionPath,
+  getLegacyCollectionPath,
+  buildMemberDoc,
+  isHouseholdAdmin,
+  canManageQuest,
+  generateFriendCode,
+  normalizeFriendCode,
+  formatFriendCode,
+} from './householdHelpers';
+
+describe('getLegacyCollectionPath', () => {
+  it('points at the shared pool used before households', () => {
+    expect(getLegacyCollectionPath('app', 'users')).toEqual([
+      'artifacts',
+      'app',
+      'public',
+      'data',
+      'users',
+    ]);
+  });
+});
+
+describe('getHouseholdCollectionPath', () => {
+  it('nests collections under the household doc', () => {
+    expect(getHouseholdCollectionPath('app', 'house-1', 'chores')).toEqual([
+      'artifacts',
+      'app',
+      'households',
+      'house-1',
+      'chores',
+    ]);
+  });
+});
+
+describe('buildMemberDoc', () => {
+  it('starts a new member with empty progress', () => {
+    const now = new Date(2025, 2, 10);
+    const member = buildMemberDoc({ uid: 'u1', email: 'cat@example.com' }, now);
+    expect(member).toMatchObject({
+      id: 'u1',
+      display_name: 'cat',
+      total_xp: 0,
+      weekly_xp: 0,
+      star_coins: 0,
+      monthly_start_month: '2025-3',
+    });
+  });
+});
+
+describe('isHouseholdAdmin', () => {
+  it('checks the household admin list', () => {
+    const household = { adminIds: ['owner'] };
+    expect(isHouseholdAdmin(household, 'owner')).toBe(true);
+    expect(isHouseholdAdmin(household, 'guest')).toBe(false);
+    expect(isHouseholdAdmin(null, 'owner')).toBe(false);
+  });
+});
+
+describe('canManageQuest', () => {
+  const household = { adminIds: ['owner'] };
+  const quest = { createdById: 'maker' };
+
+  it('lets the creator and household admins manage a quest', () => {
+    expect(canManageQuest(quest, household, 'maker')).toBe(true);
+    expect(canManageQuest(quest, household, 'owner')).toBe(true);
+  });
+
+  it('rejects everyone else', () => {
+    expect(canManageQuest(quest, household, 'guest')).toBe(false);
+    expect(canManageQuest(null, household, 'owner')).toBe(false);
+  });
+});
+
+describe('friend codes', () => {
+  it('generates eight unambiguous characters', () => {
+    const code = generateFriendCode();
+    expect(code).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+  });
+
+  it('normalizes whatever the player typed', () => {
+    expect(normalizeFriendCode(' abcd-2345 ')).toBe('ABCD2345');
+  });
+
+  it('formats codes in two groups of four', () => {
+    expect(formatFriendCode('abcd2345')).toBe('ABCD-2345');
+    expect(formatFriendCode('ABC')).toBe('ABC');
+  });
+});
@@ -0,0 +1,52 @@
+// Each level costs LEVEL_XP_STEP more than the one before, so reaching level n
+// takes LEVEL_XP_STEP * (n - 1) * n / 2 total XP: 250, 750, 1500, 2500, ...
+export const LEVEL_XP_STEP = 250;
+
+export const LEVEL_TITLES = [
+  { minLevel: 1, title: 'Kitten Squire' },
+  { minLevel: 3, title: 'Alley Adventurer' },
+  { minLevel: 5, title: 'Whisker Knight' },
+  { minLevel: 8, title: 'Purrladin' },
+  { minLevel: 12, title: 'Shadow Prowler' },
+  { minLevel: 16, title: 'Arcane Mouser' },
+  { minLevel: 20, title: 'Legendary Lion' },
+  { minLevel: 30, title: 'Cosmic Cat Lord' },
+];
+
+export const getXpForLevel = (level) => (LEVEL_XP_STEP * (level - 1) * level) / 2;
+
+export const getLevelForXp = (totalXp = 0) => {
+  const xp = Math.max(0, totalXp || 0);
+  let level = Math.floor((1 + Math.sqrt(1 + (8 * xp) / LEVEL_XP_STEP)) / 2);
+  // Guard the square root against floating point landing just either side.
+  while (getXpForLevel(level + 1) <= xp) level += 1;
+  while (level > 1 && getXpForLevel(level) > xp) level -= 1;
+  return level;
+};
+
+export const getLevelTitle = (level) =>
+  LEVEL_TITLES.reduce((title, tier) => (level >= tier.minLevel ? tier.title : title), '');
+
+export const getLevelProgress = (totalXp = 0) => {
+  const xp = Math.max(0, totalXp || 0);
+  const level = getLevelForXp(xp);
+  const levelStartXp = getXpForLevel(level);
+  const nextLevelXp = getXpForLevel(level + 1);
+  return {
+    level,
+    title: getLevelTitle(level),
+    xpIntoLevel: xp - levelStartXp,
+    xpToNextLevel: nextLevelXp - xp,
+    nextLevelXp,
+    percent: Math.round(((xp - levelStartXp) / (nextLevelXp - levelStartXp)) * 100),
+  };
+};
+
+// Returns the level reached when an award pushes total XP over a threshold,
+// or null when it doesn't (including XP going down).
+export const getLevelUp = (previousXp = 0, nextXp = 0) => {
+  const from = getLevelForXp(previousXp);
+  const to = getLevelForXp(nextXp);
+  if (to <= from) return null;
+  return { from, to, title: getLevelTitle(to) };
+};
@@ -0,0 +1,48 @@
+import {
+  getLevelForXp,
+  getLevelProgress,
+  getLevelTitle,
+  getLevelUp,
+  getXpForLevel,
+} from './levels';
+
+describe('getLevelForXp', () => {
+  it('follows the level curve', () => {
+    expect(getLevelForXp(0)).toBe(1);
+    expect(getLevelForXp(249)).toBe(1);
+    expect(getLevelForXp(250)).toBe(2);
+    expect(getLevelForXp(749)).toBe(2);
+    expect(getLevelForXp(750)).toBe(3);
+    expect(getLevelForXp(getXpForLevel(20))).toBe(20);
+    expect(getLevelForXp(-50)).toBe(1);
+  });
+});
+
+describe('getLevelProgress', () => {
+  it('reports progress towards the next level', () => {
+    expect(getLevelProgress(1000)).toEqual({
+      level: 3,
+      title: 'Alley Adventurer',
+      xpIntoLevel: 250,
+      xpToNextLevel: 500,
+      nextLevelXp: 1500,
+      percent: 33,
+    });
+  });
+});
+
+describe('getLevelTitle', () => {
+  it('keeps the highest title unlocked', () => {
+    expect(getLevelTitle(1)).toBe('Kitten Squire');
+    expect(getLevelTitle(7)).toBe('Whisker Knight');
+    expect(getLevelTitle(99)).toBe('Cosmic Cat Lord');
+  });
+});
+
+describe('getLevelUp', () => {
+  it('only fires when a threshold is crossed upwards', () => {
+    expect(getLevelUp(200, 240)).toBeNull();
+    expect(getLevelUp(800, 200)).toBeNull();
+    expect(getLevelUp(200, 2600)).toEqual({ from: 1, to: 5, title: 'Whisker Knight' });
+  });
+});
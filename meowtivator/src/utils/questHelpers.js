@@ -33,25 +33,404 @@ export const coerceDate = (value) => {
   return new Date(value);
 };
 
-export const calculateXpWithFairness = (targetUserId, baseXp, weeklyStats = {}) => {
+export const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+// Local calendar day as YYYY-MM-DD; streaks and freeze tokens are keyed by it.
+export const getDayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(
+    date.getDate()
+  ).padStart(2, '0')}`;
+
+// Focus sessions persist the time banked by earlier runs plus when the current
+// run started, so any device can work out the elapsed time on its own.
+export const getFocusElapsedMs = (session, now = new Date()) => {
+  if (!session) return 0;
+  const banked = session.accumulatedMs || 0;
+  const startedAt = coerceDate(session.startedAt);
+  if (session.status !== 'running' || !startedAt) return banked;
+  return banked + Math.max(0, now.getTime() - startedAt.getTime());
+};
+
+export const DEFAULT_RESERVATION_EXPIRY_HOURS = 24;
+
+export const isReservationExpired = (
+  quest,
+  expiryHours = DEFAULT_RESERVATION_EXPIRY_HOURS,
+  now = new Date()
+) => {
+  if (!quest?.reservedById) return false;
+  const reservedAt = coerceDate(quest.reservedAt);
+  // Reservations made before timestamps were recorded would otherwise never expire.
+  if (!reservedAt) return true;
+  return now.getTime() - reservedAt.getTime() >= expiryHours * 60 * 60 * 1000;
+};
+
+// Releasing a lapsed claim keeps a note of whose it was, so finishing the quest
+// afterwards can count as picking up an abandoned quest.
+export const releaseLapsedReservation = (quest) => ({
+  reservedById: null,
+  reservedByName: null,
+  reservedAt: null,
+  lapsedReservedById: quest.reservedById || null,
+  lapsedReservedByName: quest.reservedByName || null,
+  lapsedReservedAt: coerceDate(quest.reservedAt),
+});
+
+// The claims a completion records: the live reservation, if there is one, and
+// the last one that lapsed on this occurrence.
+export const getCompletionClaims = (quest) => ({
+  reservedById: quest.reservedById || null,
+  reservedByName: quest.reservedByName || null,
+  lapsedReservedById: quest.lapsedReservedById || null,
+  lapsedReservedByName: quest.lapsedReservedByName || null,
+  lapsedReservedAt: coerceDate(quest.lapsedReservedAt),
+});
+
+export const formatTimeAgo = (value, now = new Date()) => {
+  const date = coerceDate(value);
+  if (!date) return '';
+  const minutes = Math.max(0, Math.floor((now.getTime() - date.getTime()) / 60000));
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getOverdueMs = (nextDueAt, now = new Date()) => {
+  const due = coerceDate(nextDueAt);
+  return due ? Math.max(0, now.getTime() - due.getTime()) : 0;
+};
+
+// Severity steps up by whole days overdue; the index doubles as the level.
+export const OVERDUE_SEVERITIES = [
+  { key: 'fresh', label: 'Due', minDays: 0 },
+  { key: 'late', label: 'Late', minDays: 1 },
+  { key: 'overdue', label: 'Overdue', minDays: 3 },
+  { key: 'neglected', label: 'Neglected', minDays: 7 },
+];
+
+export const getOverdueSeverity = (overdueMs = 0) => {
+  const days = overdueMs / DAY_MS;
+  let level = 0;
+  OVERDUE_SEVERITIES.forEach((severity, idx) => {
+    if (days >= severity.minDays) level = idx;
+  });
+  return { level, ...OVERDUE_SEVERITIES[level] };
+};
+
+export const DEFAULT_OVERDUE_BONUS_PERCENT_PER_DAY = 10;
+export const DEFAULT_OVERDUE_BONUS_CAP_PERCENT = 100;
+
+// Each full day a quest sits overdue adds a slice of its base XP, up to the cap.
+export const calculateOverdueBonusXp = (
+  baseXp = 0,
+  overdueMs = 0,
+  percentPerDay = DEFAULT_OVERDUE_BONUS_PERCENT_PER_DAY,
+  capPercent = DEFAULT_OVERDUE_BONUS_CAP_PERCENT
+) => {
+  const fullDays = Math.floor(overdueMs / DAY_MS);
+  const percent = Math.min(capPercent, fullDays * percentPerDay);
+  return Math.max(0, Math.round((baseXp * percent) / 100));
+};
+
+// Share of the household's possible neglect that is currently piling up: every
+// active quest can contribute at most the top severity level.
+export const calculateNeglectMeter = (severityLevels = [], activeQuestCount = 0) => {
+  if (!activeQuestCount) return 0;
+  const maxLevel = OVERDUE_SEVERITIES.length - 1;
+  const points = severityLevels.reduce((sum, level) => sum + level, 0);
+  return Math.min(100, Math.round((points / (maxLevel * activeQuestCount)) * 100));
+};
+
+export const XP_PER_STAR_COIN = 10;
+
+// Coins are minted per award and then tracked as their own balance, so
+// spending them in the reward shop never touches lifetime XP.
+export const calculateStarCoins = (xpAwarded = 0) =>
+  Math.max(0, Math.floor(xpAwarded / XP_PER_STAR_COIN));
+
+// Identifies one due occurrence of a quest; completion compares it against the
+// live quest doc so the same occurrence can't be completed twice.
+export const getQuestOccurrenceId = (questId, nextDueAt) => {
+  const due = coerceDate(nextDueAt);
+  return `${questId}_${due ? due.getTime() : 'unscheduled'}`;
+};
+
+export const DEFAULT_FAIRNESS_THRESHOLD = 1000;
+
+// How the household settles on one threshold when every player can set their own:
+//   trailing   whatever the player furthest behind chose (the original behaviour)
+//   strictest  the lowest threshold anyone set
+//   median     the middle of everyone's thresholds
+//   household  a single value set by an admin
+export const FAIRNESS_THRESHOLD_MODES = ['trailing', 'strictest', 'median', 'household'];
+
+// What the weekly gap is measured in. Every metric is expressed in XP-sized
+// points so the same thresholds and multipliers work whichever one is chosen:
+//   xp          weekly XP as awarded (bonuses and fairness included)
+//   focus       focused minutes, priced at the household's XP per minute
+//   difficulty  completions, each worth its tier's XP
+//   recurring   like difficulty, but only recurring chores count
+export const FAIRNESS_METRICS = ['xp', 'focus', 'difficulty', 'recurring'];
+
+export const DEFAULT_FAIRNESS_POLICY = {
+  metric: 'xp',
+  boostMultiplier: 1.5,
+  // Grow the boost with the gap: threshold exceeded once gives boostMultiplier,
+  // larger gaps climb towards maxBoostMultiplier.
+  scaleWithGap: false,
+  maxBoostMultiplier: 2,
+  // Share of XP the weekly leader loses while the gap is over the threshold.
+  leaderReductionPercent: 0,
+  thresholdMode: 'trailing',
+  householdThreshold: DEFAULT_FAIRNESS_THRESHOLD,
+};
+
+export const normalizeFairnessPolicy = (policy = {}) => {
+  const source = policy || {};
+  const boostMultiplier = Math.max(1, Number(source.boostMultiplier) || 1.5);
+  return {
+    metric: FAIRNESS_METRICS.includes(source.metric) ? source.metric : 'xp',
+    boostMultiplier,
+    scaleWithGap: Boolean(source.scaleWithGap),
+    maxBoostMultiplier: Math.max(boostMultiplier, Number(source.maxBoostMultiplier) || 2),
+    leaderReductionPercent: Math.min(
+      100,
+      Math.max(0, Number(source.leaderReductionPercent) || 0)
+    ),
+    thresholdMode: FAIRNESS_THRESHOLD_MODES.includes(source.thresholdMode)
+      ? source.thresholdMode
+      : 'trailing',
+    householdThreshold: Math.max(
+      1,
+      Number(source.householdThreshold) || DEFAULT_FAIRNESS_THRESHOLD
+    ),
+  };
+};
+
+// Shared completions list everyone who took part; older entries only have the
+// completer.
+export const getCompletionParticipantIds = (entry = {}) =>
+  entry.participantIds?.length ? entry.participantIds : [entry.completedById].filter(Boolean);
+
+// How much of a completion belongs to userId: their slice of the XP paid out
+// when it was split, otherwise an even share between the participants.
+export const getCompletionShare = (entry = {}, userId) => {
+  const participantIds = getCompletionParticipantIds(entry);
+  if (!participantIds.includes(userId)) return 0;
+  const totalXp = (entry.xpSplit || []).reduce((sum, share) => sum + share.xpAwarded, 0);
+  if (!totalXp) return 1 / participantIds.length;
+  return (entry.xpSplit.find((share) => share.userId === userId)?.xpAwarded || 0) / totalXp;
+};
+
+// Entries are this week's live completions, already reduced to { completedById,
+// participantIds, xpSplit, focusDurationSeconds, difficultyXp, recurring }.
+export const calculateFairnessScores = (
+  users = [],
+  weeklyEntries = [],
+  metric = 'xp',
+  xpPerFocusMinute = 1
+) => {
+  const scores = {};
+  users.forEach((user) => {
+    scores[user.id] = metric === 'xp' ? user.weekly_xp || 0 : 0;
+  });
+  if (metric === 'xp') return scores;
+  weeklyEntries.forEach((entry) => {
+    let points = 0;
+    if (metric === 'focus') {
+      points = ((entry.focusDurationSeconds || 0) / 60) * xpPerFocusMinute;
+    } else if (metric === 'difficulty' || entry.recurring) {
+      points = entry.difficultyXp || 0;
+    }
+    getCompletionParticipantIds(entry).forEach((userId) => {
+      if (userId in scores) scores[userId] += points * getCompletionShare(entry, userId);
+    });
+  });
+  Object.keys(scores).forEach((id) => {
+    scores[id] = Math.round(scores[id]);
+  });
+  return scores;
+};
+
+// Shapes per-player scores into the weeklyStats calculateXpWithFairness reads.
+export const buildFairnessStats = (users = [], scores = {}) => {
+  if (!users.length) return { highest: 0, lowest: null, leader: null, members: [] };
+  const members = users.map((user) => ({ ...user, fairnessScore: scores[user.id] || 0 }));
+  let lowest = members[0];
+  let leader = members[0];
+  members.forEach((member) => {
+    if (member.fairnessScore < lowest.fairnessScore) lowest = member;
+    if (member.fairnessScore > leader.fairnessScore) leader = member;
+  });
+  return { highest: leader.fairnessScore, lowest, leader, members };
+};
+
+const getPlayerThreshold = (user) =>
+  typeof user?.fairness_threshold === 'number'
+    ? user.fairness_threshold
+    : DEFAULT_FAIRNESS_THRESHOLD;
+
+export const resolveFairnessThreshold = (policy, weeklyStats = {}) => {
+  const members = weeklyStats.members || [];
+  if (policy.thresholdMode === 'household') return policy.householdThreshold;
+  if (policy.thresholdMode === 'trailing' || !members.length) {
+    return getPlayerThreshold(weeklyStats.lowest);
+  }
+  const thresholds = members.map(getPlayerThreshold).sort((a, b) => a - b);
+  if (policy.thresholdMode === 'strictest') return thresholds[0];
+  const middle = Math.floor(thresholds.length / 2);
+  return thresholds.length % 2
+    ? thresholds[middle]
+    : (thresholds[middle - 1] + thresholds[middle]) / 2;
+};
+
+const roundMultiplier = (value) => Math.round(value * 100) / 100;
+
+// Returns the award plus which rule produced it, so the UI and history can say
+// exactly why an award was bigger or smaller than the quest's XP.
+export const calculateXpWithFairness = (
+  targetUserId,
+  baseXp,
+  weeklyStats = {},
+  fairnessPolicy = DEFAULT_FAIRNESS_POLICY
+) => {
+  const policy = normalizeFairnessPolicy(fairnessPolicy);
   const lowestUser = weeklyStats.lowest;
   const highestWeekly = weeklyStats.highest || 0;
+  const unchanged = { xpAward: baseXp, fairnessApplied: false, multiplier: 1, rule: 'none' };
   if (!lowestUser || !targetUserId) {
-    return { xpAward: baseXp, fairnessApplied: false };
+    return { ...unchanged, explanation: 'No fairness data yet.' };
+  }
+
+  const gap = highestWeekly - (lowestUser.fairnessScore ?? lowestUser.weekly_xp ?? 0);
+  const unit = policy.metric === 'xp' ? 'XP' : `${policy.metric} pts`;
+  const threshold = resolveFairnessThreshold(policy, weeklyStats);
+  const details = { gap, threshold, thresholdMode: policy.thresholdMode, metric: policy.metric };
+  const overThreshold = `over the ${threshold} ${unit} threshold`;
+  if (gap <= threshold) {
+    return {
+      ...unchanged,
+      ...details,
+      explanation: `Gap of ${gap} ${unit} is within the ${threshold} ${unit} threshold.`,
+    };
+  }
+
+  if (lowestUser.id === targetUserId) {
+    const scaledBoost = 1 + (policy.boostMultiplier - 1) * (gap / threshold);
+    const multiplier = policy.scaleWithGap
+      ? roundMultiplier(Math.min(policy.maxBoostMultiplier, scaledBoost))
+      : policy.boostMultiplier;
+    return {
+      xpAward: Math.round(baseXp * multiplier),
+      fairnessApplied: multiplier !== 1,
+      multiplier,
+      rule: 'boost',
+      ...details,
+      explanation: `Catch-up boost ${multiplier}x: ${gap} ${unit} behind, ${overThreshold}.`,
+    };
   }
 
-  const lowestWeekly = lowestUser.weekly_xp || 0;
-  const gap = highestWeekly - lowestWeekly;
-  const threshold =
-    typeof lowestUser.fairness_threshold === 'number'
-      ? lowestUser.fairness_threshold
-      : 1000;
+  const leaderId = weeklyStats.leader?.id;
+  if (leaderId === targetUserId && policy.leaderReductionPercent > 0) {
+    const percent = policy.leaderReductionPercent;
+    const multiplier = roundMultiplier(1 - percent / 100);
+    return {
+      xpAward: Math.round(baseXp * multiplier),
+      fairnessApplied: true,
+      multiplier,
+      rule: 'leader-reduction',
+      ...details,
+      explanation: `Leader reduction -${percent}%: ${gap} ${unit} ahead, ${overThreshold}.`,
+    };
+  }
 
-  const fairnessApplied = lowestUser.id === targetUserId && gap > threshold;
   return {
-    xpAward: fairnessApplied ? Math.round(baseXp * 1.5) : baseXp,
-    fairnessApplied,
+    ...unchanged,
+    ...details,
+    explanation: `Gap of ${gap} ${unit} is ${overThreshold}; no rule covers this player.`,
   };
 };
 
+const WEEK_EPOCH = new Date(2024, 0, 1);
+
+// Week numbers count whole weeks since Monday 2024-01-01 (local time), which is
+// what user docs store as `currentWeek`. Counting calendar days rather than
+// milliseconds keeps a daylight-saving hour from pulling Monday into last week.
+export const getWeekNumber = (date = new Date()) =>
+  Math.floor(Math.round((startOfDay(date) - WEEK_EPOCH) / DAY_MS) / 7);
+
+export const getWeekStartDate = (weekNumber) =>
+  new Date(WEEK_EPOCH.getFullYear(), WEEK_EPOCH.getMonth(), WEEK_EPOCH.getDate() + weekNumber * 7);
+
+export const rankWeeklyStandings = (entries = []) => {
+  const sorted = [...entries].sort((a, b) => (b.weeklyXp || 0) - (a.weeklyXp || 0));
+  let rank = 0;
+  return sorted.map((entry, idx) => {
+    const previous = sorted[idx - 1];
+    if (!previous || (previous.weeklyXp || 0) !== (entry.weeklyXp || 0)) {
+      rank = idx + 1;
+    }
+    return { ...entry, rank };
+  });
+};
+
+// Groups users whose `currentWeek` is behind by the week they still need to close.
+// Docs without a `currentWeek` are treated as belonging to last week.
+export const groupUsersByStaleWeek = (users = [], currentWeekNumber = getWeekNumber()) =>
+  users.reduce((groups, user) => {
+    if (!user.id) return groups;
+    const storedWeek = typeof user.currentWeek === 'number' ? user.currentWeek : null;
+    if (storedWeek !== null && storedWeek >= currentWeekNumber) return groups;
+    const closingWeek = storedWeek ?? currentWeekNumber - 1;
+    return { ...groups, [closingWeek]: [...(groups[closingWeek] || []), user] };
+  }, {});
+
+export const UNDO_WINDOW_MINUTES = 15;
 
+export const canUndoCompletion = (entry, userId, now = new Date()) => {
+  if (!entry || entry.voided || !userId) return false;
+  if ((entry.recordedById || entry.completedById) !== userId) return false;
+  const completedAt = coerceDate(entry.completedAt || entry.completed_at);
+  if (!completedAt) return false;
+  return now.getTime() - completedAt.getTime() <= UNDO_WINDOW_MINUTES * 60 * 1000;
+};
+
+// Divides a shared completion's XP by weight ([{ userId, weight }]), evenly
+// when no weights are set. Rounding leftovers go to the first participant so
+// the shares always add up to totalXp.
+export const splitXpByShares = (totalXp, participants = []) => {
+  const totalWeight = participants.reduce((sum, p) => sum + Math.max(0, p.weight || 0), 0);
+  const shares = participants.map((participant) => {
+    const weight = totalWeight ? Math.max(0, participant.weight || 0) : 1;
+    const xp = Math.floor((totalXp * weight) / (totalWeight || participants.length));
+    return { userId: participant.userId, xp };
+  });
+  if (shares.length) {
+    shares[0].xp += totalXp - shares.reduce((sum, share) => sum + share.xp, 0);
+  }
+  return shares;
+};
+
+// Weekly XP is only taken back when the completion still belongs to the
+// player's open week; closed weeks are already archived in the standings.
+export const reverseCompletionProgress = (user = {}, entry = {}) => {
+  const xp = entry.xpAwarded || entry.xp_awarded || 0;
+  const coins = entry.coinsAwarded ?? calculateStarCoins(xp);
+  const completedAt = coerceDate(entry.completedAt || entry.completed_at);
+  const sameWeek =
+    Boolean(completedAt) &&
+    (typeof user.currentWeek !== 'number' || getWeekNumber(completedAt) === user.currentWeek);
+  return {
+    total_xp: Math.max(0, (user.total_xp || 0) - xp),
+    weekly_xp: sameWeek ? Math.max(0, (user.weekly_xp || 0) - xp) : user.weekly_xp || 0,
+    star_coins: Math.max(0, (user.star_coins || 0) - coins),
+  };
+};
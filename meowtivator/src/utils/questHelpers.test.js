@@ -3,6 +3,27 @@ import {
   getDueDateFromNow,
   coerceDate,
   calculateXpWithFairness,
+  getQuestOccurrenceId,
+  calculateStarCoins,
+  isReservationExpired,
+  formatTimeAgo,
+  getFocusElapsedMs,
+  getWeekNumber,
+  getWeekStartDate,
+  rankWeeklyStandings,
+  groupUsersByStaleWeek,
+  canUndoCompletion,
+  reverseCompletionProgress,
+  getOverdueMs,
+  getOverdueSeverity,
+  calculateOverdueBonusXp,
+  calculateNeglectMeter,
+  normalizeFairnessPolicy,
+  resolveFairnessThreshold,
+  calculateFairnessScores,
+  buildFairnessStats,
+  getCompletionShare,
+  splitXpByShares,
 } from './questHelpers';
 
 describe('formatMs', () => {
@@ -56,6 +77,82 @@ describe('coerceDate', () => {
   });
 });
 
+describe('getFocusElapsedMs', () => {
+  const now = new Date('2025-01-02T12:00:00.000Z');
+
+  it('returns banked time for paused sessions', () => {
+    expect(getFocusElapsedMs({ status: 'paused', accumulatedMs: 90_000 }, now)).toBe(90_000);
+  });
+
+  it('adds the current run for running sessions', () => {
+    const session = {
+      status: 'running',
+      accumulatedMs: 60_000,
+      startedAt: new Date('2025-01-02T11:58:00.000Z'),
+    };
+    expect(getFocusElapsedMs(session, now)).toBe(180_000);
+  });
+
+  it('treats a missing session as zero', () => {
+    expect(getFocusElapsedMs(null, now)).toBe(0);
+  });
+});
+
+describe('isReservationExpired', () => {
+  const now = new Date('2025-01-02T12:00:00.000Z');
+
+  it('keeps fresh reservations', () => {
+    const quest = { reservedById: 'u1', reservedAt: new Date('2025-01-02T09:00:00.000Z') };
+    expect(isReservationExpired(quest, 24, now)).toBe(false);
+  });
+
+  it('expires reservations older than the window', () => {
+    const quest = { reservedById: 'u1', reservedAt: new Date('2025-01-02T09:00:00.000Z') };
+    expect(isReservationExpired(quest, 2, now)).toBe(true);
+  });
+
+  it('treats untimestamped reservations as expired and ignores unreserved quests', () => {
+    expect(isReservationExpired({ reservedById: 'u1' }, 24, now)).toBe(true);
+    expect(isReservationExpired({ reservedById: null }, 24, now)).toBe(false);
+  });
+});
+
+describe('formatTimeAgo', () => {
+  const now = new Date('2025-01-02T12:00:00.000Z');
+
+  it('rounds down to the largest whole unit', () => {
+    expect(formatTimeAgo(new Date('2025-01-02T11:59:30.000Z'), now)).toBe('just now');
+    expect(formatTimeAgo(new Date('2025-01-02T11:15:00.000Z'), now)).toBe('45m ago');
+    expect(formatTimeAgo(new Date('2025-01-02T09:00:00.000Z'), now)).toBe('3h ago');
+    expect(formatTimeAgo(new Date('2024-12-30T12:00:00.000Z'), now)).toBe('3d ago');
+  });
+});
+
+describe('calculateStarCoins', () => {
+  it('mints one coin per 10 XP awarded', () => {
+    expect(calculateStarCoins(250)).toBe(25);
+    expect(calculateStarCoins(155)).toBe(15);
+  });
+
+  it('never mints negative coins', () => {
+    expect(calculateStarCoins(-100)).toBe(0);
+  });
+});
+
+describe('getQuestOccurrenceId', () => {
+  it('keys an occurrence by quest id and due time', () => {
+    const due = new Date('2025-03-01T08:00:00.000Z');
+    expect(getQuestOccurrenceId('quest-1', due)).toBe(`quest-1_${due.getTime()}`);
+    expect(getQuestOccurrenceId('quest-1', { toDate: () => due })).toBe(
+      getQuestOccurrenceId('quest-1', due)
+    );
+  });
+
+  it('falls back to an unscheduled key when there is no due date', () => {
+    expect(getQuestOccurrenceId('quest-1', null)).toBe('quest-1_unscheduled');
+  });
+});
+
 describe('calculateXpWithFairness', () => {
   const baseStats = {
     highest: 2000,
@@ -91,6 +188,255 @@ describe('calculateXpWithFairness', () => {
     expect(xpAward).toBe(100);
     expect(fairnessApplied).toBe(false);
   });
+
+  it('scales the boost with the gap up to the cap', () => {
+    const policy = { boostMultiplier: 1.5, scaleWithGap: true, maxBoostMultiplier: 2 };
+    const stats = { highest: 2800, lowest: { id: 'player-low', weekly_xp: 800 } };
+    expect(calculateXpWithFairness('player-low', 100, stats, policy)).toMatchObject({
+      xpAward: 200,
+      multiplier: 2,
+      rule: 'boost',
+    });
+    stats.highest = 2400;
+    expect(calculateXpWithFairness('player-low', 100, stats, policy).multiplier).toBe(1.8);
+  });
+
+  it('trims the leader when a reduction is configured', () => {
+    const stats = { ...baseStats, leader: { id: 'player-high', weekly_xp: 2000 } };
+    const result = calculateXpWithFairness('player-high', 100, stats, {
+      leaderReductionPercent: 20,
+    });
+    expect(result).toMatchObject({ xpAward: 80, rule: 'leader-reduction', fairnessApplied: true });
+    expect(result.explanation).toContain('-20%');
+  });
 });
 
+describe('calculateFairnessScores', () => {
+  const users = [
+    { id: 'a', weekly_xp: 900 },
+    { id: 'b', weekly_xp: 100 },
+  ];
+  const entries = [
+    { completedById: 'a', focusDurationSeconds: 300, difficultyXp: 100, recurring: false },
+    { completedById: 'a', focusDurationSeconds: null, difficultyXp: 100, recurring: true },
+    { completedById: 'b', focusDurationSeconds: 3600, difficultyXp: 500, recurring: true },
+    { completedById: 'gone', focusDurationSeconds: 600, difficultyXp: 250, recurring: true },
+  ];
+
+  it('scores each player by the chosen metric', () => {
+    expect(calculateFairnessScores(users, entries, 'xp')).toEqual({ a: 900, b: 100 });
+    expect(calculateFairnessScores(users, entries, 'focus', 6)).toEqual({ a: 30, b: 360 });
+    expect(calculateFairnessScores(users, entries, 'difficulty')).toEqual({ a: 200, b: 500 });
+    expect(calculateFairnessScores(users, entries, 'recurring')).toEqual({ a: 100, b: 500 });
+  });
+
+  it('shares a split completion by the XP each participant was paid', () => {
+    const shared = {
+      completedById: 'a',
+      participantIds: ['a', 'b'],
+      xpSplit: [
+        { userId: 'a', xpAwarded: 75 },
+        { userId: 'b', xpAwarded: 25 },
+      ],
+      difficultyXp: 400,
+    };
+    expect(getCompletionShare(shared, 'b')).toBe(0.25);
+    expect(getCompletionShare(shared, 'gone')).toBe(0);
+    expect(calculateFairnessScores(users, [shared], 'difficulty')).toEqual({ a: 300, b: 100 });
+  });
 
+  it('feeds calculateXpWithFairness through buildFairnessStats', () => {
+    const scores = calculateFairnessScores(users, entries, 'focus', 6);
+    const stats = buildFairnessStats(users, scores);
+    expect(stats.lowest.id).toBe('a');
+    expect(stats.leader.id).toBe('b');
+    const result = calculateXpWithFairness('a', 100, stats, {
+      metric: 'focus',
+      thresholdMode: 'household',
+      householdThreshold: 300,
+    });
+    expect(result).toMatchObject({ xpAward: 150, gap: 330, rule: 'boost' });
+    expect(result.explanation).toContain('focus pts');
+  });
+});
+
+describe('resolveFairnessThreshold', () => {
+  const members = [
+    { id: 'a', fairness_threshold: 400 },
+    { id: 'b', fairness_threshold: 1000 },
+    { id: 'c', fairness_threshold: 1600 },
+    { id: 'd' },
+  ];
+  const stats = { lowest: members[2], members };
+
+  it('agrees on a threshold according to the policy', () => {
+    const resolve = (thresholdMode) =>
+      resolveFairnessThreshold(
+        normalizeFairnessPolicy({ thresholdMode, householdThreshold: 750 }),
+        stats
+      );
+    expect(resolve('trailing')).toBe(1600);
+    expect(resolve('strictest')).toBe(400);
+    expect(resolve('median')).toBe(1000);
+    expect(resolve('household')).toBe(750);
+  });
+});
+
+describe('getWeekNumber', () => {
+  it('counts whole weeks since the first Monday of 2024', () => {
+    expect(getWeekNumber(new Date(2024, 0, 1, 12))).toBe(0);
+    expect(getWeekNumber(new Date(2024, 0, 8, 12))).toBe(1);
+    expect(getWeekNumber(new Date(2024, 0, 14, 12))).toBe(1);
+  });
+
+  it('round-trips with getWeekStartDate', () => {
+    const start = getWeekStartDate(5);
+    expect(start.getDay()).toBe(1);
+    expect(getWeekNumber(start)).toBe(5);
+  });
+
+  it('starts the week at local midnight on Monday in summer time', () => {
+    // Monday 2024-07-01, where daylight saving shifts the clock an hour.
+    expect(getWeekNumber(new Date(2024, 6, 1, 0, 30))).toBe(26);
+    expect(getWeekNumber(new Date(2024, 5, 30, 23, 30))).toBe(25);
+  });
+});
+
+describe('rankWeeklyStandings', () => {
+  it('sorts by weekly XP and shares ranks on ties', () => {
+    const ranked = rankWeeklyStandings([
+      { userId: 'a', weeklyXp: 100 },
+      { userId: 'b', weeklyXp: 300 },
+      { userId: 'c', weeklyXp: 100 },
+      { userId: 'd', weeklyXp: 0 },
+    ]);
+    expect(ranked.map((entry) => [entry.userId, entry.rank])).toEqual([
+      ['b', 1],
+      ['a', 2],
+      ['c', 2],
+      ['d', 4],
+    ]);
+  });
+});
+
+describe('groupUsersByStaleWeek', () => {
+  it('groups users behind the current week by the week they need to close', () => {
+    const groups = groupUsersByStaleWeek(
+      [
+        { id: 'fresh', currentWeek: 10 },
+        { id: 'last-week', currentWeek: 9 },
+        { id: 'idle', currentWeek: 7 },
+        { id: 'legacy' },
+      ],
+      10
+    );
+    expect(Object.keys(groups).sort()).toEqual(['7', '9']);
+    expect(groups[9].map((u) => u.id)).toEqual(['last-week', 'legacy']);
+    expect(groups[7].map((u) => u.id)).toEqual(['idle']);
+  });
+});
+
+describe('canUndoCompletion', () => {
+  const now = new Date('2025-01-02T12:00:00.000Z');
+  const entry = {
+    recordedById: 'u1',
+    completedById: 'u2',
+    completedAt: new Date('2025-01-02T11:55:00.000Z'),
+  };
+
+  it('lets whoever recorded a completion undo it for a short while', () => {
+    expect(canUndoCompletion(entry, 'u1', now)).toBe(true);
+    expect(canUndoCompletion(entry, 'u2', now)).toBe(false);
+  });
+
+  it('refuses old or voided entries', () => {
+    expect(canUndoCompletion(entry, 'u1', new Date('2025-01-02T13:00:00.000Z'))).toBe(false);
+    expect(canUndoCompletion({ ...entry, voided: true }, 'u1', now)).toBe(false);
+  });
+});
+
+describe('splitXpByShares', () => {
+  it('splits evenly without weights and keeps the remainder with the first player', () => {
+    expect(splitXpByShares(100, [{ userId: 'a' }, { userId: 'b' }, { userId: 'c' }])).toEqual([
+      { userId: 'a', xp: 34 },
+      { userId: 'b', xp: 33 },
+      { userId: 'c', xp: 33 },
+    ]);
+  });
+
+  it('splits by weight', () => {
+    expect(
+      splitXpByShares(200, [
+        { userId: 'a', weight: 3 },
+        { userId: 'b', weight: 1 },
+        { userId: 'c', weight: 0 },
+      ])
+    ).toEqual([
+      { userId: 'a', xp: 150 },
+      { userId: 'b', xp: 50 },
+      { userId: 'c', xp: 0 },
+    ]);
+  });
+});
+
+describe('reverseCompletionProgress', () => {
+  const completedAt = new Date(2025, 0, 8, 12);
+
+  it('takes back XP and coins from the open week', () => {
+    const user = {
+      total_xp: 1000,
+      weekly_xp: 300,
+      star_coins: 40,
+      currentWeek: getWeekNumber(completedAt),
+    };
+    expect(
+      reverseCompletionProgress(user, { xpAwarded: 250, coinsAwarded: 25, completedAt })
+    ).toEqual({ total_xp: 750, weekly_xp: 50, star_coins: 15 });
+  });
+
+  it('leaves weekly XP alone once the week has rolled over', () => {
+    const user = {
+      total_xp: 1000,
+      weekly_xp: 100,
+      star_coins: 10,
+      currentWeek: getWeekNumber(completedAt) + 1,
+    };
+    expect(reverseCompletionProgress(user, { xpAwarded: 250, completedAt })).toEqual({
+      total_xp: 750,
+      weekly_xp: 100,
+      star_coins: 0,
+    });
+  });
+});
+
+describe('overdue tracking', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const now = new Date('2025-03-10T12:00:00Z');
+
+  it('measures how long a quest has been due', () => {
+    expect(getOverdueMs(new Date(now.getTime() - 2 * day), now)).toBe(2 * day);
+    expect(getOverdueMs(new Date(now.getTime() + day), now)).toBe(0);
+    expect(getOverdueMs(null, now)).toBe(0);
+  });
+
+  it('steps severity up by whole days', () => {
+    expect(getOverdueSeverity(0).key).toBe('fresh');
+    expect(getOverdueSeverity(1.5 * day)).toMatchObject({ level: 1, key: 'late' });
+    expect(getOverdueSeverity(3 * day).key).toBe('overdue');
+    expect(getOverdueSeverity(20 * day)).toMatchObject({ level: 3, key: 'neglected' });
+  });
+
+  it('ramps bonus XP per full day up to the cap', () => {
+    expect(calculateOverdueBonusXp(100, 0.9 * day)).toBe(0);
+    expect(calculateOverdueBonusXp(100, 3.5 * day)).toBe(30);
+    expect(calculateOverdueBonusXp(100, 30 * day)).toBe(100);
+    expect(calculateOverdueBonusXp(250, 2 * day, 5, 50)).toBe(25);
+    expect(calculateOverdueBonusXp(100, 5 * day, 0)).toBe(0);
+  });
+
+  it('fills the neglect meter relative to the active quest count', () => {
+    expect(calculateNeglectMeter([], 0)).toBe(0);
+    expect(calculateNeglectMeter([3, 0], 4)).toBe(25);
+    expect(calculateNeglectMeter([3, 3], 2)).toBe(100);
+  });
+});
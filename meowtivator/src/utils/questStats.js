@@ -0,0 +1,112 @@
+import { coerceDate, getCompletionParticipantIds } from './questHelpers';
+
+const average = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+const getMonthKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// Voided completions are left out so corrections don't skew the numbers.
+export const getQuestCompletions = (historyEntries = [], questId) =>
+  historyEntries
+    .filter((entry) => entry.questId === questId && !entry.voided)
+    .sort(
+      (a, b) =>
+        (coerceDate(b.completedAt)?.getTime() || 0) - (coerceDate(a.completedAt)?.getTime() || 0)
+    );
+
+export const summarizeQuestCompletions = (completions = []) => {
+  const completers = {};
+  const xpByMonth = {};
+  const focusSeconds = [];
+  const latenessMs = [];
+  let totalXp = 0;
+
+  completions.forEach((entry) => {
+    // Everyone who shared a completion gets it on their tally.
+    const participantIds = getCompletionParticipantIds(entry);
+    const participantNames = entry.participantNames || [entry.completedByName];
+    (participantIds.length ? participantIds : ['unknown']).forEach((completerId, index) => {
+      if (!completers[completerId]) {
+        completers[completerId] = {
+          id: completerId,
+          name: participantNames[index] || completerId,
+          count: 0,
+        };
+      }
+      completers[completerId].count += 1;
+    });
+
+    const xp = entry.xpAwarded || 0;
+    totalXp += xp;
+
+    const completedAt = coerceDate(entry.completedAt);
+    if (completedAt) {
+      const key = getMonthKey(completedAt);
+      xpByMonth[key] = (xpByMonth[key] || 0) + xp;
+    }
+    if (entry.focusDurationSeconds != null) {
+      focusSeconds.push(entry.focusDurationSeconds);
+    }
+    // Entries recorded before occurrenceDueAt existed have nothing to compare against.
+    const dueAt = coerceDate(entry.occurrenceDueAt);
+    if (completedAt && dueAt) {
+      latenessMs.push(completedAt.getTime() - dueAt.getTime());
+    }
+  });
+
+  const completerCounts = Object.values(completers).sort(
+    (a, b) => b.count - a.count || a.name.localeCompare(b.name)
+  );
+
+  return {
+    totalCompletions: completions.length,
+    totalXp,
+    completerCounts,
+    topCompleter: completerCounts[0] || null,
+    averageFocusSeconds: average(focusSeconds),
+    averageLatenessMs: average(latenessMs),
+    xpByMonth: Object.keys(xpByMonth)
+      .sort()
+      .map((month) => ({ month, xp: xpByMonth[month] })),
+  };
+};
+
+// Effort-based pricing: the going rate per focused minute, and how many timed
+// completions a quest needs before a suggestion is worth trusting.
+export const DEFAULT_XP_PER_FOCUS_MINUTE = 6;
+export const MIN_TIMED_COMPLETIONS = 3;
+const SUGGESTION_SAMPLE_SIZE = 10;
+const SUGGESTION_ROUNDING_XP = 5;
+
+// Expects completions newest first; only the latest timed runs count, so a quest
+// that got quicker (or slower) is re-priced from how it goes now.
+export const suggestQuestXp = (completions = [], xpPerMinute = DEFAULT_XP_PER_FOCUS_MINUTE) => {
+  const durations = completions
+    .map((entry) => entry.focusDurationSeconds)
+    .filter((seconds) => seconds > 0)
+    .slice(0, SUGGESTION_SAMPLE_SIZE);
+  if (durations.length < MIN_TIMED_COMPLETIONS) return null;
+  const averageMinutes = average(durations) / 60;
+  const rounded =
+    Math.round((averageMinutes * xpPerMinute) / SUGGESTION_ROUNDING_XP) * SUGGESTION_ROUNDING_XP;
+  return {
+    averageMinutes,
+    sampleSize: durations.length,
+    xp: Math.max(SUGGESTION_ROUNDING_XP, rounded),
+  };
+};
+
+export const formatLateness = (ms) => {
+  if (ms == null) return '—';
+  const totalMinutes = Math.round(Math.abs(ms) / 60000);
+  if (totalMinutes < 1) return 'on time';
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  const parts = [];
+  if (days) parts.push(`${days}d`);
+  if (hours) parts.push(`${hours}h`);
+  if (minutes && !days) parts.push(`${minutes}m`);
+  return `${parts.join(' ')} ${ms > 0 ? 'late' : 'early'}`;
+};
@@ -0,0 +1,122 @@
+import {
+  formatLateness,
+  getQuestCompletions,
+  suggestQuestXp,
+  summarizeQuestCompletions,
+} from './questStats';
+
+const entry = (overrides) => ({
+  questId: 'q1',
+  completedById: 'u1',
+  completedByName: 'Alice',
+  xpAwarded: 10,
+  completedAt: new Date(2025, 0, 10, 12),
+  ...overrides,
+});
+
+describe('getQuestCompletions', () => {
+  it('keeps only live entries for the quest, newest first', () => {
+    const entries = [
+      entry({ id: 'a', completedAt: new Date(2025, 0, 1) }),
+      entry({ id: 'b', questId: 'q2' }),
+      entry({ id: 'c', voided: true }),
+      entry({ id: 'd', completedAt: new Date(2025, 0, 5) }),
+    ];
+    expect(getQuestCompletions(entries, 'q1').map((e) => e.id)).toEqual(['d', 'a']);
+  });
+});
+
+describe('summarizeQuestCompletions', () => {
+  it('returns empty stats when there are no completions', () => {
+    expect(summarizeQuestCompletions([])).toEqual({
+      totalCompletions: 0,
+      totalXp: 0,
+      completerCounts: [],
+      topCompleter: null,
+      averageFocusSeconds: null,
+      averageLatenessMs: null,
+      xpByMonth: [],
+    });
+  });
+
+  it('counts completers and picks the most frequent one', () => {
+    const stats = summarizeQuestCompletions([
+      entry({}),
+      entry({ completedById: 'u2', completedByName: 'Bob' }),
+      entry({ completedById: 'u2', completedByName: 'Bob' }),
+    ]);
+    expect(stats.topCompleter).toEqual({ id: 'u2', name: 'Bob', count: 2 });
+    expect(stats.completerCounts.map((c) => c.id)).toEqual(['u2', 'u1']);
+  });
+
+  it('counts every participant of a shared completion', () => {
+    const stats = summarizeQuestCompletions([
+      entry({ participantIds: ['u1', 'u2'], participantNames: ['Alice', 'Bob'] }),
+    ]);
+    expect(stats.completerCounts).toEqual([
+      { id: 'u1', name: 'Alice', count: 1 },
+      { id: 'u2', name: 'Bob', count: 1 },
+    ]);
+  });
+
+  it('averages focus time and lateness only over entries that recorded them', () => {
+    const dueAt = new Date(2025, 0, 10, 10);
+    const stats = summarizeQuestCompletions([
+      entry({ focusDurationSeconds: 600, occurrenceDueAt: dueAt }),
+      entry({ focusDurationSeconds: 1200, occurrenceDueAt: new Date(2025, 0, 10, 13) }),
+      entry({ focusDurationSeconds: null }),
+    ]);
+    expect(stats.averageFocusSeconds).toBe(900);
+    // +2h and -1h average to 30 minutes late.
+    expect(stats.averageLatenessMs).toBe(30 * 60 * 1000);
+  });
+
+  it('totals XP per month in chronological order', () => {
+    const stats = summarizeQuestCompletions([
+      entry({ xpAwarded: 15, completedAt: new Date(2025, 1, 3) }),
+      entry({ xpAwarded: 10, completedAt: new Date(2025, 0, 3) }),
+      entry({ xpAwarded: 5, completedAt: new Date(2025, 1, 20) }),
+    ]);
+    expect(stats.totalXp).toBe(30);
+    expect(stats.xpByMonth).toEqual([
+      { month: '2025-01', xp: 10 },
+      { month: '2025-02', xp: 20 },
+    ]);
+  });
+});
+
+describe('formatLateness', () => {
+  it('describes how early or late completions are', () => {
+    expect(formatLateness(null)).toBe('—');
+    expect(formatLateness(20 * 1000)).toBe('on time');
+    expect(formatLateness(90 * 60 * 1000)).toBe('1h 30m late');
+    expect(formatLateness(-45 * 60 * 1000)).toBe('45m early');
+    expect(formatLateness((26 * 60 + 10) * 60 * 1000)).toBe('1d 2h late');
+  });
+});
+
+describe('suggestQuestXp', () => {
+  it('waits for enough timed completions', () => {
+    const completions = [
+      entry({ focusDurationSeconds: 600 }),
+      entry({ focusDurationSeconds: null }),
+      entry({ focusDurationSeconds: 0 }),
+      entry({ focusDurationSeconds: 900 }),
+    ];
+    expect(suggestQuestXp(completions)).toBeNull();
+  });
+
+  it('prices the average focus time and rounds to 5 XP', () => {
+    const completions = [40, 42, 44].map((minutes) =>
+      entry({ focusDurationSeconds: minutes * 60 })
+    );
+    expect(suggestQuestXp(completions)).toEqual({ averageMinutes: 42, sampleSize: 3, xp: 250 });
+    expect(suggestQuestXp(completions, 10).xp).toBe(420);
+  });
+
+  it('only looks at the most recent timed runs', () => {
+    const recent = Array.from({ length: 10 }, () => entry({ focusDurationSeconds: 600 }));
+    const old = entry({ focusDurationSeconds: 6000 });
+    expect(suggestQuestXp([...recent, old])).toMatchObject({ averageMinutes: 10, sampleSize: 10 });
+  });
+});
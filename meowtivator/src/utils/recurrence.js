@@ -0,0 +1,200 @@
+import { coerceDate, startOfDay } from './questHelpers';
+
+// A recurrence rule is stored on each quest as `recurrence`:
+//   freq        'once' | 'daily' | 'weekly' | 'monthly'
+//   interval    every N days/weeks/months
+//   byWeekday   weekdays (0 = Sunday) a daily or weekly quest may fall on
+//   monthlyMode 'same' (same date as last time), 'day', 'last' or 'nth'
+//   dayOfMonth  for 'day'; clamped to short months
+//   nth/weekday for 'nth'; nth is 1-4, or -1 for the last one in the month
+//   anchor      'completion' counts from when it was last done,
+//               'calendar' keeps a fixed schedule counted from startAt
+export const RECURRENCE_FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+export const WEEKDAYS_ONLY = [1, 2, 3, 4, 5];
+const NTH_LABELS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Five years of days is far more than any rule needs to find its next match.
+const SEARCH_LIMIT_DAYS = 5 * 366;
+
+export const normalizeRecurrence = (docData = {}) => {
+  const source = docData.recurrence || {};
+  const legacyFreq =
+    docData.frequencyType || (docData.frequency === 'once' ? 'once' : docData.frequency);
+  let freq = 'daily';
+  if (RECURRENCE_FREQUENCIES.includes(source.freq)) {
+    freq = source.freq;
+  } else if (RECURRENCE_FREQUENCIES.includes(legacyFreq)) {
+    freq = legacyFreq;
+  }
+  return {
+    freq,
+    interval: Math.max(1, Number(source.interval ?? docData.frequencyInterval) || 1),
+    byWeekday: Array.isArray(source.byWeekday)
+      ? [...source.byWeekday].sort((a, b) => a - b)
+      : [],
+    monthlyMode: source.monthlyMode || 'same',
+    dayOfMonth: source.dayOfMonth || 1,
+    nth: source.nth || 1,
+    weekday: source.weekday ?? 6,
+    anchor: source.anchor === 'calendar' ? 'calendar' : 'completion',
+    startAt: coerceDate(source.startAt) || null,
+  };
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+const addUnits = (date, freq, count) => {
+  const d = new Date(date);
+  if (freq === 'daily') d.setDate(d.getDate() + count);
+  if (freq === 'weekly') d.setDate(d.getDate() + count * 7);
+  if (freq === 'monthly') {
+    // Clamp to the target month so the 31st steps to Feb 28 rather than Mar 3.
+    const day = d.getDate();
+    d.setDate(1);
+    d.setMonth(d.getMonth() + count);
+    d.setDate(Math.min(day, daysInMonth(d)));
+  }
+  return d;
+};
+
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+// Rules that pick particular days rather than just "N units later".
+export const hasDayPattern = (rule) => {
+  if (rule.freq === 'monthly') return rule.monthlyMode !== 'same';
+  return rule.freq !== 'once' && rule.byWeekday.length > 0;
+};
+
+const matchesDay = (rule, date) => {
+  if (rule.freq !== 'monthly') {
+    return rule.byWeekday.includes(date.getDay());
+  }
+  const dayCount = daysInMonth(date);
+  const dayOfMonth = date.getDate();
+  switch (rule.monthlyMode) {
+    case 'day':
+      return dayOfMonth === Math.min(rule.dayOfMonth, dayCount);
+    case 'last':
+      return dayOfMonth === dayCount;
+    case 'nth':
+      if (date.getDay() !== rule.weekday) return false;
+      return rule.nth === -1
+        ? dayOfMonth + 7 > dayCount
+        : Math.ceil(dayOfMonth / 7) === rule.nth;
+    default:
+      return false;
+  }
+};
+
+// On a fixed calendar only every interval-th day/week/month since startAt counts.
+const isInActivePeriod = (rule, date) => {
+  if (rule.anchor !== 'calendar' || rule.interval === 1 || !rule.startAt) return true;
+  const start = rule.startAt;
+  let elapsed;
+  if (rule.freq === 'daily') {
+    elapsed = daysBetween(start, date);
+  } else if (rule.freq === 'weekly') {
+    elapsed = Math.floor(daysBetween(addDays(start, -start.getDay()), date) / 7);
+  } else {
+    elapsed =
+      (date.getFullYear() - start.getFullYear()) * 12 + (date.getMonth() - start.getMonth());
+  }
+  return elapsed >= 0 && elapsed % rule.interval === 0;
+};
+
+const findMatchingDay = (rule, fromDay) => {
+  for (let offset = 0; offset < SEARCH_LIMIT_DAYS; offset += 1) {
+    const candidate = addDays(fromDay, offset);
+    if (matchesDay(rule, candidate) && isInActivePeriod(rule, candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// The first occurrence on a calendar rule's fixed grid after the given date,
+// stepping from startAt so missed occurrences don't pile up.
+const getNextGridDate = (rule, after) => {
+  let step = 1;
+  let next = addUnits(rule.startAt, rule.freq, rule.interval);
+  while (next <= after) {
+    step += 1;
+    next = addUnits(rule.startAt, rule.freq, rule.interval * step);
+  }
+  return next;
+};
+
+// When a brand-new quest first becomes due.
+export const getFirstDueAt = (rule, now = new Date()) => {
+  if (rule.freq === 'once') return now;
+  const start = rule.anchor === 'calendar' && rule.startAt > now ? rule.startAt : now;
+  if (!hasDayPattern(rule)) return start;
+  return findMatchingDay(rule, startOfDay(start));
+};
+
+// When the quest is due again after being completed at completedAt. Returns
+// null for one-time quests.
+export const getNextDueAt = (rule, completedAt = new Date()) => {
+  if (rule.freq === 'once') return null;
+  const completed = coerceDate(completedAt);
+
+  if (!hasDayPattern(rule)) {
+    if (rule.anchor !== 'calendar' || !rule.startAt) {
+      return addUnits(completed, rule.freq, rule.interval);
+    }
+    return getNextGridDate(rule, completed);
+  }
+
+  const tomorrow = startOfDay(addDays(completed, 1));
+  if (rule.anchor === 'calendar') {
+    return findMatchingDay(rule, tomorrow);
+  }
+  // Counting from completion, skip interval - 1 whole periods before looking.
+  return findMatchingDay(rule, addUnits(tomorrow, rule.freq, rule.interval - 1));
+};
+
+// Time spent paused isn't neglect: on resume the due date moves on by the
+// length of the pause, so the quest comes back exactly as due as it was when
+// paused. Day-picking rules then wait for their next matching day, and rules
+// on a fixed calendar grid pick up at the next occurrence instead.
+export const getResumedDueAt = (rule, nextDueAt, pausedAt, now = new Date()) => {
+  const dueAt = coerceDate(nextDueAt);
+  const paused = coerceDate(pausedAt);
+  if (!dueAt || !paused) return dueAt;
+  const shifted = new Date(dueAt.getTime() + Math.max(0, now - paused));
+  if (rule.freq === 'once') return shifted;
+  if (!hasDayPattern(rule)) {
+    return rule.anchor === 'calendar' && rule.startAt ? getNextGridDate(rule, now) : shifted;
+  }
+  const matchingDay = findMatchingDay(rule, startOfDay(shifted));
+  return matchingDay && matchingDay > shifted ? matchingDay : shifted;
+};
+
+const pluralize = (count, unit) => `${count} ${unit}${count > 1 ? 's' : ''}`;
+
+export const describeRecurrence = (rule) => {
+  if (rule.freq === 'once') return 'Once';
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[rule.freq];
+  let text = rule.interval > 1 ? `Every ${pluralize(rule.interval, unit)}` : `Every ${unit}`;
+  if (rule.freq !== 'monthly' && rule.byWeekday.length) {
+    const isWeekdays = rule.byWeekday.join() === WEEKDAYS_ONLY.join();
+    text += isWeekdays
+      ? ', weekdays only'
+      : ` on ${rule.byWeekday.map((day) => WEEKDAY_LABELS[day]).join(', ')}`;
+  }
+  if (rule.freq === 'monthly') {
+    if (rule.monthlyMode === 'day') text += ` on day ${rule.dayOfMonth}`;
+    if (rule.monthlyMode === 'last') text += ' on the last day';
+    if (rule.monthlyMode === 'nth') {
+      text += ` on the ${NTH_LABELS[rule.nth]} ${WEEKDAY_LABELS[rule.weekday]}`;
+    }
+  }
+  return rule.anchor === 'calendar' ? `${text} · fixed calendar` : `${text} · after completion`;
+};
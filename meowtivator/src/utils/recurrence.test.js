@@ -0,0 +1,159 @@
+import {
+  describeRecurrence,
+  getFirstDueAt,
+  getNextDueAt,
+  getResumedDueAt,
+  normalizeRecurrence,
+  WEEKDAYS_ONLY,
+} from './recurrence';
+
+const rule = (recurrence) => normalizeRecurrence({ recurrence });
+
+// 2025-03-05 is a Wednesday.
+const wednesdayNoon = new Date(2025, 2, 5, 12);
+
+describe('normalizeRecurrence', () => {
+  it('builds a completion-anchored rule from legacy frequency fields', () => {
+    expect(normalizeRecurrence({ frequencyType: 'weekly', frequencyInterval: 2 })).toMatchObject({
+      freq: 'weekly',
+      interval: 2,
+      byWeekday: [],
+      monthlyMode: 'same',
+      anchor: 'completion',
+    });
+    expect(normalizeRecurrence({ frequency: 'once' }).freq).toBe('once');
+  });
+});
+
+describe('getNextDueAt', () => {
+  it('keeps the legacy "N units after completion" behaviour', () => {
+    expect(getNextDueAt(rule({ freq: 'daily', interval: 2 }), wednesdayNoon)).toEqual(
+      new Date(2025, 2, 7, 12)
+    );
+    expect(getNextDueAt(rule({ freq: 'monthly' }), wednesdayNoon)).toEqual(
+      new Date(2025, 3, 5, 12)
+    );
+    expect(getNextDueAt(rule({ freq: 'once' }), wednesdayNoon)).toBeNull();
+  });
+
+  it('finds the next listed weekday', () => {
+    const mondayThursday = rule({ freq: 'weekly', byWeekday: [4, 1] });
+    expect(getNextDueAt(mondayThursday, wednesdayNoon)).toEqual(new Date(2025, 2, 6));
+    expect(getNextDueAt(mondayThursday, new Date(2025, 2, 6, 9))).toEqual(new Date(2025, 2, 10));
+  });
+
+  it('skips weekends for weekday-only daily quests', () => {
+    const weekdays = rule({ freq: 'daily', byWeekday: WEEKDAYS_ONLY });
+    expect(getNextDueAt(weekdays, new Date(2025, 2, 7, 18))).toEqual(new Date(2025, 2, 10));
+  });
+
+  it('handles last-day and nth-weekday monthly rules', () => {
+    expect(getNextDueAt(rule({ freq: 'monthly', monthlyMode: 'last' }), wednesdayNoon)).toEqual(
+      new Date(2025, 2, 31)
+    );
+    const firstSaturday = rule({ freq: 'monthly', monthlyMode: 'nth', nth: 1, weekday: 6 });
+    expect(getNextDueAt(firstSaturday, wednesdayNoon)).toEqual(new Date(2025, 3, 5));
+    const lastFriday = rule({ freq: 'monthly', monthlyMode: 'nth', nth: -1, weekday: 5 });
+    expect(getNextDueAt(lastFriday, wednesdayNoon)).toEqual(new Date(2025, 2, 28));
+  });
+
+  it('clamps day-of-month rules to short months', () => {
+    const thirtyFirst = rule({ freq: 'monthly', monthlyMode: 'day', dayOfMonth: 31 });
+    expect(getNextDueAt(thirtyFirst, new Date(2025, 1, 1))).toEqual(new Date(2025, 1, 28));
+  });
+
+  it('clamps monthly steps from the end of a month', () => {
+    const monthly = rule({ freq: 'monthly' });
+    expect(getNextDueAt(monthly, new Date(2025, 0, 31, 9))).toEqual(new Date(2025, 1, 28, 9));
+    const startAt = new Date(2025, 0, 31, 9);
+    const calendarMonthly = rule({ freq: 'monthly', anchor: 'calendar', startAt });
+    expect(getNextDueAt(calendarMonthly, new Date(2025, 1, 1))).toEqual(new Date(2025, 1, 28, 9));
+    expect(getNextDueAt(calendarMonthly, new Date(2025, 2, 1))).toEqual(new Date(2025, 2, 31, 9));
+  });
+
+  it('keeps calendar-anchored quests on their fixed grid', () => {
+    const startAt = new Date(2025, 2, 3, 8);
+    const everyOtherDay = rule({ freq: 'daily', interval: 2, anchor: 'calendar', startAt });
+    // Completed late on the 5th: the next slot is the 7th, not two days after completion.
+    expect(getNextDueAt(everyOtherDay, new Date(2025, 2, 5, 23))).toEqual(
+      new Date(2025, 2, 7, 8)
+    );
+    const everyOtherMonday = rule({
+      freq: 'weekly',
+      interval: 2,
+      byWeekday: [1],
+      anchor: 'calendar',
+      startAt,
+    });
+    expect(getNextDueAt(everyOtherMonday, new Date(2025, 2, 3, 9))).toEqual(
+      new Date(2025, 2, 17)
+    );
+  });
+});
+
+describe('getFirstDueAt', () => {
+  it('is due right away unless the rule picks particular days', () => {
+    expect(getFirstDueAt(rule({ freq: 'daily' }), wednesdayNoon)).toEqual(wednesdayNoon);
+    expect(getFirstDueAt(rule({ freq: 'weekly', byWeekday: [1] }), wednesdayNoon)).toEqual(
+      new Date(2025, 2, 10)
+    );
+    expect(getFirstDueAt(rule({ freq: 'weekly', byWeekday: [3] }), wednesdayNoon)).toEqual(
+      new Date(2025, 2, 5)
+    );
+  });
+});
+
+describe('getResumedDueAt', () => {
+  const pausedAt = new Date(2025, 2, 1, 12);
+  const now = new Date(2025, 2, 15, 12);
+
+  it('moves the due date on by the length of the pause', () => {
+    const dueAt = new Date(2025, 2, 2, 12);
+    expect(getResumedDueAt(rule({ freq: 'daily' }), dueAt, pausedAt, now)).toEqual(
+      new Date(2025, 2, 16, 12)
+    );
+    // Already a day overdue when paused, still a day overdue after.
+    const overdue = new Date(2025, 1, 28, 12);
+    expect(getResumedDueAt(rule({ freq: 'daily' }), overdue, pausedAt, now)).toEqual(
+      new Date(2025, 2, 14, 12)
+    );
+  });
+
+  it('lands day-picking rules on their next matching day', () => {
+    const mondays = rule({ freq: 'weekly', byWeekday: [1] });
+    // Due Monday 3 March, shifted two weeks and a day to Tuesday the 18th.
+    const resumedAt = new Date(2025, 2, 16, 12);
+    expect(getResumedDueAt(mondays, new Date(2025, 2, 3), pausedAt, resumedAt)).toEqual(
+      new Date(2025, 2, 24)
+    );
+  });
+
+  it('puts calendar-anchored rules back on their grid after the pause', () => {
+    const startAt = new Date(2025, 1, 24, 9);
+    const everyOtherDay = rule({ freq: 'daily', interval: 2, anchor: 'calendar', startAt });
+    // Shifting 2 March by the pause would land on the 15th, off the grid.
+    const resumedAt = new Date(2025, 2, 14, 12);
+    expect(getResumedDueAt(everyOtherDay, new Date(2025, 2, 2, 9), pausedAt, resumedAt)).toEqual(
+      new Date(2025, 2, 16, 9)
+    );
+  });
+
+  it('leaves quests without a due date or pause time alone', () => {
+    expect(getResumedDueAt(rule({ freq: 'daily' }), null, pausedAt, now)).toBeNull();
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('summarizes the rule for quest cards', () => {
+    expect(describeRecurrence(rule({ freq: 'once' }))).toBe('Once');
+    expect(describeRecurrence(rule({ freq: 'daily', byWeekday: WEEKDAYS_ONLY }))).toBe(
+      'Every day, weekdays only · after completion'
+    );
+    expect(
+      describeRecurrence(rule({ freq: 'weekly', interval: 2, byWeekday: [1, 4], anchor: 'calendar' }))
+    ).toBe('Every 2 weeks on Mon, Thu · fixed calendar');
+    expect(
+      describeRecurrence(rule({ freq: 'monthly', monthlyMode: 'nth', nth: 1, weekday: 6 }))
+    ).toBe('Every month on the first Sat · after completion');
+  });
+});
@@ -0,0 +1,9 @@
+export const USER_SECTIONS = ['dashboard', 'quests', 'focus', 'rewards', 'history', 'profile'];
+
+export const normalizeUserSection = (section) =>
+  USER_SECTIONS.includes(section) ? section : 'dashboard';
+
+export const getUserSectionPath = (uid, section = 'dashboard') =>
+  `/users/${uid}/${normalizeUserSection(section)}`;
+
+export const getQuestPath = (uid, questId) => `/users/${uid}/quests/${questId}`;
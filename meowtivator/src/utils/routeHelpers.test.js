@@ -0,0 +1,17 @@
+import { getQuestPath, getUserSectionPath, normalizeUserSection } from './routeHelpers';
+
+describe('normalizeUserSection', () => {
+  it('keeps known sections and falls back to the dashboard', () => {
+    expect(normalizeUserSection('rewards')).toBe('rewards');
+    expect(normalizeUserSection('settings')).toBe('dashboard');
+    expect(normalizeUserSection(undefined)).toBe('dashboard');
+  });
+});
+
+describe('route paths', () => {
+  it('builds user section and quest paths', () => {
+    expect(getUserSectionPath('u1', 'history')).toBe('/users/u1/history');
+    expect(getUserSectionPath('u1', 'nope')).toBe('/users/u1/dashboard');
+    expect(getQuestPath('u1', 'q9')).toBe('/users/u1/quests/q9');
+  });
+});
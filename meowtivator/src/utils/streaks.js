@@ -0,0 +1,139 @@
+import {
+  coerceDate,
+  getCompletionParticipantIds,
+  getDayKey,
+  getWeekNumber,
+  startOfDay,
+} from './questHelpers';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const STREAK_FREEZE_COST = 30;
+export const DEFAULT_HOUSEHOLD_STREAK_OVERDUE_DAYS = 2;
+
+const shiftDay = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+const getCompletionDates = (historyEntries, userId) =>
+  historyEntries
+    .filter((entry) => !entry.voided && getCompletionParticipantIds(entry).includes(userId))
+    .map((entry) => coerceDate(entry.completedAt))
+    .filter(Boolean);
+
+// Walks every period from the first active one up to now. The current period
+// never breaks a run because it isn't over yet; `isBridged` lets a frozen day
+// keep a run alive without adding to it.
+const countRuns = (firstPeriod, lastPeriod, isActive, isBridged = () => false) => {
+  let run = 0;
+  let best = 0;
+  for (let period = firstPeriod; period <= lastPeriod; period += 1) {
+    if (isActive(period)) {
+      run += 1;
+      best = Math.max(best, run);
+    } else if (!isBridged(period) && period !== lastPeriod) {
+      run = 0;
+    }
+  }
+  return { current: run, best };
+};
+
+// A player keeps a daily streak by completing at least one quest a day and a
+// weekly streak by completing one a week. frozenDays are day keys covered by
+// a streak freeze token.
+export const calculatePlayerStreaks = (
+  historyEntries = [],
+  userId,
+  frozenDays = [],
+  now = new Date()
+) => {
+  const dates = getCompletionDates(historyEntries, userId);
+  if (!dates.length) {
+    return { daily: { current: 0, best: 0 }, weekly: { current: 0, best: 0 } };
+  }
+  const first = new Date(Math.min(...dates));
+  const activeDays = new Set(dates.map(getDayKey));
+  const frozen = new Set(frozenDays);
+  const activeWeeks = new Set(dates.map((date) => getWeekNumber(date)));
+  const dayAt = (offset) => getDayKey(shiftDay(first, offset));
+
+  return {
+    daily: countRuns(
+      0,
+      daysBetween(first, now),
+      (offset) => activeDays.has(dayAt(offset)),
+      (offset) => frozen.has(dayAt(offset))
+    ),
+    weekly: countRuns(getWeekNumber(first), getWeekNumber(now), (week) => activeWeeks.has(week)),
+  };
+};
+
+// Days since the last completion (or freeze) that a freeze token would have to
+// cover to keep the daily streak going. Empty when nothing was missed, there's
+// no streak to save, or there aren't enough tokens to bridge the whole gap.
+export const getMissedStreakDays = (
+  historyEntries = [],
+  userId,
+  frozenDays = [],
+  tokens = 0,
+  now = new Date()
+) => {
+  const activeDays = new Set(getCompletionDates(historyEntries, userId).map(getDayKey));
+  const frozen = new Set(frozenDays);
+  const missed = [];
+  for (let offset = 1; offset <= tokens + 1; offset += 1) {
+    const key = getDayKey(shiftDay(now, -offset));
+    if (activeDays.has(key) || frozen.has(key)) {
+      return missed.length <= tokens ? missed : [];
+    }
+    missed.push(key);
+  }
+  return [];
+};
+
+// The household streak counts whole days since any quest was last left more
+// than maxOverdueDays past due. Completed occurrences break it on the day they
+// crossed the limit; a quest still over the limit holds it at zero.
+export const calculateHouseholdStreak = ({
+  historyEntries = [],
+  openQuests = [],
+  maxOverdueDays = DEFAULT_HOUSEHOLD_STREAK_OVERDUE_DAYS,
+  since = null,
+  now = new Date(),
+}) => {
+  const limitMs = maxOverdueDays * DAY_MS;
+  const breaks = [];
+  historyEntries.forEach((entry) => {
+    if (entry.voided) return;
+    const dueAt = coerceDate(entry.occurrenceDueAt);
+    const completedAt = coerceDate(entry.completedAt);
+    if (dueAt && completedAt && completedAt - dueAt > limitMs) {
+      breaks.push(new Date(dueAt.getTime() + limitMs));
+    }
+  });
+  let brokenNow = false;
+  openQuests.forEach((quest) => {
+    const dueAt = coerceDate(quest.nextDueAt);
+    if (dueAt && now - dueAt > limitMs) {
+      brokenNow = true;
+      breaks.push(new Date(dueAt.getTime() + limitMs));
+    }
+  });
+
+  const start =
+    coerceDate(since) ||
+    historyEntries.reduce((earliest, entry) => {
+      const completedAt = coerceDate(entry.completedAt);
+      return completedAt && (!earliest || completedAt < earliest) ? completedAt : earliest;
+    }, null);
+  if (!start) return { current: 0, best: 0 };
+
+  const checkpoints = [start, ...breaks.sort((a, b) => a - b)];
+  if (!brokenNow) checkpoints.push(now);
+  let best = 0;
+  for (let i = 1; i < checkpoints.length; i += 1) {
+    best = Math.max(best, daysBetween(checkpoints[i - 1], checkpoints[i]));
+  }
+  const current = brokenNow ? 0 : daysBetween(checkpoints[checkpoints.length - 2], now);
+  return { current, best };
+};
@@ -0,0 +1,91 @@
+import { getDayKey } from './questHelpers';
+import { calculateHouseholdStreak, calculatePlayerStreaks, getMissedStreakDays } from './streaks';
+
+const completion = (day, hour = 18, overrides = {}) => ({
+  completedById: 'me',
+  completedAt: new Date(2025, 0, day, hour),
+  ...overrides,
+});
+
+describe('calculatePlayerStreaks', () => {
+  it('has no streaks without completions', () => {
+    expect(calculatePlayerStreaks([], 'me')).toEqual({
+      daily: { current: 0, best: 0 },
+      weekly: { current: 0, best: 0 },
+    });
+  });
+
+  it('counts consecutive days and keeps today open', () => {
+    const entries = [1, 2, 3, 5, 6, 7].map((day) => completion(day));
+    const { daily } = calculatePlayerStreaks(entries, 'me', [], new Date(2025, 0, 8, 9));
+    expect(daily).toEqual({ current: 3, best: 3 });
+    const tomorrow = calculatePlayerStreaks(entries, 'me', [], new Date(2025, 0, 9, 9));
+    expect(tomorrow.daily.current).toBe(0);
+  });
+
+  it('lets frozen days bridge a gap', () => {
+    const entries = [1, 2, 3, 5, 6].map((day) => completion(day));
+    const frozen = [getDayKey(new Date(2025, 0, 4))];
+    const { daily } = calculatePlayerStreaks(entries, 'me', frozen, new Date(2025, 0, 6, 20));
+    expect(daily).toEqual({ current: 5, best: 5 });
+  });
+
+  it('credits helpers on a shared completion', () => {
+    const shared = { completedById: 'other', participantIds: ['other', 'me'] };
+    const entries = [completion(1, 18, shared)];
+    const { daily } = calculatePlayerStreaks(entries, 'me', [], new Date(2025, 0, 1, 20));
+    expect(daily).toEqual({ current: 1, best: 1 });
+    expect(getMissedStreakDays(entries, 'me', [], 1, new Date(2025, 0, 2, 9))).toEqual([]);
+  });
+
+  it('counts weeks with at least one completion', () => {
+    // 2025-01-06, 01-13 and 01-27 are Mondays; the week of the 20th is skipped.
+    const entries = [6, 14, 27, 28].map((day) => completion(day));
+    const { weekly } = calculatePlayerStreaks(entries, 'me', [], new Date(2025, 0, 29));
+    expect(weekly).toEqual({ current: 1, best: 2 });
+  });
+});
+
+describe('getMissedStreakDays', () => {
+  const entries = [completion(1), completion(2)];
+
+  it('lists the days a freeze would cover', () => {
+    expect(getMissedStreakDays(entries, 'me', [], 2, new Date(2025, 0, 5, 9))).toEqual([
+      '2025-01-04',
+      '2025-01-03',
+    ]);
+  });
+
+  it('gives up when there are not enough tokens or nothing was missed', () => {
+    expect(getMissedStreakDays(entries, 'me', [], 1, new Date(2025, 0, 5, 9))).toEqual([]);
+    expect(getMissedStreakDays(entries, 'me', [], 3, new Date(2025, 0, 3, 9))).toEqual([]);
+  });
+});
+
+describe('calculateHouseholdStreak', () => {
+  const now = new Date(2025, 0, 20, 12);
+
+  it('counts days since a quest was last left too long', () => {
+    const historyEntries = [
+      completion(1),
+      completion(10, 12, { occurrenceDueAt: new Date(2025, 0, 5, 12) }),
+      completion(15, 12, { occurrenceDueAt: new Date(2025, 0, 14, 12) }),
+    ];
+    expect(calculateHouseholdStreak({ historyEntries, maxOverdueDays: 2, now })).toEqual({
+      current: 13,
+      best: 13,
+    });
+  });
+
+  it('holds at zero while a quest is still over the limit', () => {
+    const openQuests = [{ nextDueAt: new Date(2025, 0, 15) }];
+    expect(
+      calculateHouseholdStreak({
+        openQuests,
+        maxOverdueDays: 2,
+        since: new Date(2025, 0, 1),
+        now,
+      })
+    ).toEqual({ current: 0, best: 16 });
+  });
+});